@@ -0,0 +1,64 @@
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { getIdAndKey, isValidUser } from '../utils/users';
+import { findAccessible } from '../utils/access';
+import { parseListing, pageStages, nextCursor } from '../utils/listing';
+import { activityFilters, formatActivity } from '../utils/audit';
+
+// Newest entries first unless `order=asc`, paged like GET /files
+async function sendFeed (request, response, scope) {
+  let filters;
+  let listing;
+  try {
+    filters = activityFilters(request.query);
+    listing = parseListing({ ...request.query, sort: 'date', order: request.query.order || 'desc' });
+  } catch (error) {
+    return response.status(400).send({ error: error.message });
+  }
+
+  const match = { $and: [scope, ...filters] };
+  const total = await dbClient.activity.countDocuments(match);
+  const entries = await dbClient.activity.aggregate([{ $match: match }, ...pageStages(listing)]).toArray();
+  const cursor = nextCursor(entries, listing);
+
+  response.setHeader('X-Total-Count', total);
+  if (cursor) response.setHeader('X-Next-Cursor', cursor);
+  return response.status(200).send(entries.slice(0, listing.limit).map(formatActivity));
+}
+
+class ActivityController {
+  // What the user did, and what was done to their account (e.g. failed logins)
+  static async getMyActivity (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    return sendFeed(request, response, {
+      $or: [{ actorId: user._id }, { targetType: 'user', targetId: user._id }]
+    });
+  }
+
+  // Everything done to a file, by anyone; only its owner may read it
+  static async getFileActivity (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const fileId = request.params.id || '';
+    if (!isValidUser(fileId)) return response.status(400).send({ error: 'Id not in BSON format' });
+
+    const { file, role } = await findAccessible(fileId, user._id, 'owner');
+    if (!file) {
+      if (role) return response.status(403).send({ error: 'Permission denied' });
+      return response.status(404).send({ error: 'Not found' });
+    }
+
+    return sendFeed(request, response, { targetType: 'file', targetId: file._id });
+  }
+}
+
+export default ActivityController;
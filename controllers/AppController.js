@@ -14,6 +14,7 @@ class AppController {
     const stats = {
       users: await dbClient.nbUsers(),
       files: await dbClient.nbFiles(),
+      bytes: await dbClient.usedBytes(),
     };
     response.status(200).send(stats);
   }
@@ -1,36 +1,53 @@
-import sha1 from 'sha1';
-import { v4 as uuidv4 } from 'uuid';
 import redisClient from '../utils/redis';
 import dbClient from '../utils/db';
+import { verifyPassword, needsRehash, hashPassword } from '../utils/passwords';
+import {
+  sessionIdOf, getSession, createSession, revokeSession, refreshSession
+} from '../utils/sessions';
+import { loginLocked, recordLoginFailure, clearLoginFailures } from '../utils/ratelimit';
 
 class AuthController {
   static async getConnect (request, response) {
     const authHeader = request.headers.authorization;
     if (!authHeader) {
-      response.status(401).json({ error: 'Unauthorized' });
+      return response.status(401).json({ error: 'Unauthorized' });
     }
     try {
-      const auth = Buffer.from(authHeader.split(' ')[1], 'base64').toString().split(':');
-      const email = auth[0];
-      const pass = sha1(auth[1]);
+      // Passwords may contain ':', only the first one separates the email
+      const auth = Buffer.from(authHeader.split(' ')[1], 'base64').toString();
+      const email = auth.slice(0, auth.indexOf(':'));
+      const pass = auth.slice(auth.indexOf(':') + 1);
+      response.locals.audit = { actorId: null, details: { email } };
+
+      // Even the right password is refused while the account is locked
+      const locked = await loginLocked(email);
+      if (locked) {
+        response.set('Retry-After', String(locked));
+        return response.status(429).json({ error: 'Too many failed logins' });
+      }
 
       const user = await dbClient.getUser({ email });
-      // console.log('USER IN AUTH GETCONNECT()', user);
+      // Failed attempts show in the activity of the account they targeted
+      if (user) response.locals.audit.targetId = user._id;
 
-      if (!user) {
-        response.status(401).json({ error: 'Unauthorized' });
+      if (!user || auth.indexOf(':') < 0 || !await verifyPassword(pass, user.password)) {
+        await recordLoginFailure(email);
+        return response.status(401).json({ error: 'Unauthorized' });
       }
+      await clearLoginFailures(email);
+      response.locals.audit.actorId = user._id;
 
-      if (pass !== user.password) {
-        response.status(401).json({ error: 'Unauthorized' });
+      // Older hashes (SHA-1 or weaker scrypt parameters) are replaced while the password is at hand
+      if (needsRehash(user.password)) {
+        await dbClient.users.updateOne(
+          { _id: user._id, password: user.password },
+          { $set: { password: await hashPassword(pass) } }
+        );
       }
 
-      const token = uuidv4();
-      const key = `auth_${token}`;
-      const duration = (60 * 60 * 24);
-      await redisClient.set(key, user._id.toString(), duration);
+      const tokens = await createSession(user._id, request);
 
-      response.status(200).json({ token });
+      response.status(200).json(tokens);
     } catch (err) {
       console.log(err);
       response.status(500).json({ error: 'Server error' });
@@ -40,19 +57,41 @@ class AuthController {
   static async getDisconnect (request, response) {
     try {
       const userToken = request.header('X-Token');
-      // console.log('USER TOKEN DISCONNECT', userToken);
       const userKey = await redisClient.get(`auth_${userToken}`);
-      // console.log('USER KEY DISCONNECT', userKey);
       if (!userKey) {
-        response.status(401).json({ error: 'Unauthorized' });
+        return response.status(401).json({ error: 'Unauthorized' });
       }
-      await redisClient.del(`auth_${userToken}`);
+      response.locals.audit = { actorId: userKey };
+
+      const session = await getSession(sessionIdOf(userToken));
+      if (session && session.token === userToken) await revokeSession(session);
+      else await redisClient.del(`auth_${userToken}`);
       response.status(204).send('Disconnected');
     } catch (err) {
       console.log(err);
       response.status(500).json({ error: 'Server error' });
     }
   }
+
+  static async postRefresh (request, response) {
+    const { refreshToken } = request.body || {};
+    if (!refreshToken) {
+      return response.status(400).json({ error: 'Missing refreshToken' });
+    }
+
+    try {
+      const tokens = await refreshSession(refreshToken, request);
+      if (!tokens) {
+        return response.status(401).json({ error: 'Unauthorized' });
+      }
+      response.locals.audit = { actorId: await redisClient.get(`auth_${tokens.token}`) };
+
+      response.status(200).json(tokens);
+    } catch (err) {
+      console.log(err);
+      response.status(500).json({ error: 'Server error' });
+    }
+  }
 }
 
 export default AuthController;
\ No newline at end of file
@@ -1,38 +1,152 @@
 import Queue from 'bull';
 import { ObjectId } from 'mongodb';
-import { v4 as uuidv4 } from 'uuid';
-import { mkdir, writeFile, readFileSync } from 'fs';
 import mime from 'mime-types';
 import dbClient from '../utils/db';
-import { getIdAndKey, isValidUser } from '../utils/users';
+import { getIdAndKey, canUpload, isValidUser } from '../utils/users';
+import {
+  THUMBNAIL_SIZES, trashRootMatch, trashFile, restoreFile, purgeFile, writeBlob, retainBlob, releaseBlob,
+  getVersions, getSubtree, copyTree
+} from '../utils/files';
+import { getUsage, reserveBytes, releaseBytes } from '../utils/quota';
+import parseUpload from '../utils/upload';
+import sendBlob from '../utils/download';
+import sendZip from '../utils/archive';
+import {
+  isTextLike, searchFilters, visibleMatch, queryMatch
+} from '../utils/search';
+import { parseTags, parseMetadata, metadataFilters } from '../utils/metadata';
+import {
+  parseListing, listingFilters, pageStages, nextCursor
+} from '../utils/listing';
+import { findLink, isExpired, countDownload } from '../utils/links';
+import { verifyPassword } from '../utils/passwords';
+import { emitEvent } from '../utils/webhooks';
+import { keyAllows } from '../utils/keys';
+import {
+  getAncestors, inheritRole, getRole, hasRole, findAccessible
+} from '../utils/access';
+
+const fileQueue = new Queue('fileQueue');
+const copyQueue = new Queue('copyQueue');
+const archiveQueue = new Queue('archiveQueue');
+
+// Trees with more documents than this are copied by the worker
+const COPY_SYNC_LIMIT = Number(process.env.COPY_SYNC_LIMIT) || 100;
+
+// Progress of a background job started by the user
+async function sendJob (response, job, userId) {
+  if (!job || job.data.userId !== userId) return response.status(404).send({ error: 'Not found' });
+
+  const status = await job.getState();
+
+  return response.status(200).send({
+    id: job.id,
+    status,
+    progress: job.progress(),
+    result: job.returnvalue || null,
+    error: status === 'failed' ? job.failedReason : null
+  });
+}
+
+// 403 when the user can see the file but lacks the role, 404 when it is hidden from them
+function accessDenied (response, role) {
+  if (role) return response.status(403).send({ error: 'Permission denied' });
+  return response.status(404).send({ error: 'Not found' });
+}
 
 class FilesController {
   static async postUpload (request, response) {
-    const fileQ = new Queue('fileQ');
-    const dir = process.env.FOLDER_PATH || '/tmp/files_manager';
-
-    const { userId } = await getIdAndKey(request);
+    const { userId, apiKey } = await getIdAndKey(request);
     if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
 
     const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
     if (!user) return response.status(401).send({ error: 'Unauthorized' });
+    if (!canUpload(user)) return response.status(403).send({ error: 'Email not verified' });
+
+    // Streamed bodies announcing more than the remaining quota are refused before being read,
+    // the others once they go over it
+    const { available } = getUsage(user);
+    const length = Number(request.header('Content-Length'));
+    if (request.is(['multipart/form-data', 'application/octet-stream']) && length > available) {
+      return response.status(413).send({ error: 'Quota exceeded' });
+    }
 
-    const fileName = request.body.name;
-    if (!fileName) return response.status(400).send({ error: 'Missing name' });
+    let upload;
+    try {
+      upload = await parseUpload(request, { limit: available });
+    } catch (error) {
+      if (error.code === 'EQUOTA') return response.status(413).send({ error: 'Quota exceeded' });
+      return response.status(400).send({ error: error.message });
+    }
+    const { fields } = upload;
+    let { blob } = upload;
 
-    const fileType = request.body.type;
-    if (!fileType || !['folder', 'file', 'image'].includes(fileType)) return response.status(400).send({ error: 'Missing type' });
+    const badRequest = async (error) => {
+      if (blob) await releaseBlob(blob);
+      return response.status(400).send({ error });
+    };
 
-    const fileData = request.body.data;
-    if (!fileData && fileType !== 'folder') return response.status(400).send({ error: 'Missing data' });
+    if (apiKey && !await keyAllows(apiKey, request, fields)) {
+      if (blob) await releaseBlob(blob);
+      return response.status(401).send({ error: 'Unauthorized' });
+    }
 
-    const publicFile = request.body.isPublic || false;
-    let parentId = request.body.parentId || 0;
+    const fileName = fields.name;
+    if (!fileName) return badRequest('Missing name');
+
+    const fileType = fields.type;
+    if (!fileType || !['folder', 'file', 'image'].includes(fileType)) return badRequest('Missing type');
+
+    const fileData = fields.data;
+    if (!fileData && !blob && fileType !== 'folder') return badRequest('Missing data');
+
+    let tags;
+    let metadata;
+    try {
+      tags = fields.tags === undefined ? [] : parseTags(fields.tags);
+      metadata = fields.metadata === undefined ? {} : parseMetadata(fields.metadata);
+    } catch (error) {
+      return badRequest(error.message);
+    }
+
+    const publicFile = fields.isPublic === true || fields.isPublic === 'true';
+    const extract = fields.extract === true || fields.extract === 'true';
+    let parentId = fields.parentId || 0;
     parentId = parentId === '0' ? 0 : parentId;
     if (parentId !== 0) {
-      const parentFile = await dbClient.files.findOne({ _id: ObjectId(parentId) });
-      if (!parentFile) return response.status(400).send({ error: 'Parent not found' });
-      if (parentFile.type !== 'folder') return response.status(400).send({ error: 'Parent is not a folder' });
+      const parentFile = isValidUser(parentId)
+        ? await dbClient.files.findOne({ _id: ObjectId(parentId), deletedAt: null })
+        : null;
+      const role = parentFile ? await getRole(parentFile, user._id) : null;
+      if (!role) return badRequest('Parent not found');
+      if (parentFile.type !== 'folder') return badRequest('Parent is not a folder');
+      if (!hasRole(role, 'editor')) {
+        if (blob) await releaseBlob(blob);
+        return response.status(403).send({ error: 'Permission denied' });
+      }
+      // Stored as an ObjectId so getIndex finds the new document
+      parentId = parentFile._id;
+    }
+
+    // Archives are kept only until the worker expanded them under parentId
+    if (extract && fileType !== 'folder') {
+      if (!blob) {
+        try {
+          blob = await writeBlob(Buffer.from(fileData, 'base64'));
+        } catch (error) {
+          return response.status(400).send({ error: error.message });
+        }
+      }
+
+      const job = await archiveQueue.add({
+        userId,
+        parentId,
+        isPublic: publicFile,
+        localPath: blob.localPath,
+        checksum: blob.checksum
+      });
+      response.setHeader('Location', `/files/extractions/${job.id}`);
+      return response.status(202).send({ id: job.id, status: 'waiting', progress: 0 });
     }
 
     const fileInsertData = {
@@ -40,11 +154,15 @@ class FilesController {
       name: fileName,
       type: fileType,
       isPublic: publicFile,
-      parentId
+      parentId,
+      tags,
+      metadata
     };
 
     if (fileType === 'folder') {
+      if (blob) await releaseBlob(blob);
       await dbClient.files.insertOne(fileInsertData);
+      response.locals.audit.targetId = fileInsertData._id;
       return response.status(201).send({
         id: fileInsertData._id,
         userId: fileInsertData.userId,
@@ -55,28 +173,34 @@ class FilesController {
       });
     }
 
-    const fileUid = uuidv4();
-
-    const decData = Buffer.from(fileData, 'base64');
-    const filePath = `${dir}/${fileUid}`;
-
-    mkdir(dir, { recursive: true }, (error) => {
-      if (error) return response.status(400).send({ error: error.message });
-      return true;
-    });
+    const decData = blob ? null : Buffer.from(fileData, 'base64');
+    if (!await reserveBytes(user._id, blob ? blob.size : decData.length)) {
+      if (blob) await releaseBlob(blob);
+      return response.status(413).send({ error: 'Quota exceeded' });
+    }
 
-    writeFile(filePath, decData, (error) => {
-      if (error) return response.status(400).send({ error: error.message });
-      return true;
-    });
+    if (!blob) {
+      try {
+        blob = await writeBlob(decData);
+      } catch (error) {
+        await releaseBytes(user._id, decData.length);
+        return response.status(400).send({ error: error.message });
+      }
+    }
 
-    fileInsertData.localPath = filePath;
+    fileInsertData.localPath = blob.localPath;
+    fileInsertData.size = blob.size;
+    fileInsertData.checksum = blob.checksum;
+    fileInsertData.version = 1;
+    fileInsertData.versions = [{ version: 1, ...blob, createdAt: new Date() }];
     await dbClient.files.insertOne(fileInsertData);
+    response.locals.audit.targetId = fileInsertData._id;
 
-    fileQ.add({
+    fileQueue.add({
       userId: fileInsertData.userId,
       fileId: fileInsertData._id
     });
+    emitEvent('file.uploaded', fileInsertData, { actorId: user._id });
 
     return response.status(201).send({
       id: fileInsertData._id,
@@ -96,7 +220,7 @@ class FilesController {
     if (!user) return response.status(401).send({ error: 'Unauthorized' });
 
     const fileId = request.params.id || '';
-    const file = await dbClient.files.findOne({ _id: ObjectId(fileId), userId: user._id });
+    const { file } = await findAccessible(fileId, user._id);
     if (!file) return response.status(404).send({ error: 'Not found' });
 
     return response.status(200).send({
@@ -105,7 +229,9 @@ class FilesController {
       name: file.name,
       type: file.type,
       isPublic: file.isPublic,
-      parentId: file.parentId
+      parentId: file.parentId,
+      tags: file.tags || [],
+      metadata: file.metadata || {}
     });
   }
 
@@ -123,35 +249,90 @@ class FilesController {
 
       parentId = ObjectId(parentId);
 
-      const folder = await dbClient.files.findOne({ _id: ObjectId(parentId) });
+      const { file: folder } = await findAccessible(parentId, user._id);
       if (!folder || folder.type !== 'folder') return response.status(200).send([]);
     }
 
+    let filters;
+    let listing;
+    try {
+      filters = [...listingFilters(request.query), ...metadataFilters(request.query)];
+      listing = parseListing(request.query);
+    } catch (error) {
+      return response.status(400).send({ error: error.message });
+    }
+
+    // The root holds the user's own items; parentId was stored as a string by older uploads
+    const scope = parentId === 0
+      ? { userId: user._id, parentId: { $in: [0, '0'] } }
+      : { parentId: { $in: [parentId, parentId.toString()] } };
+    const agg = { $and: [scope, { deletedAt: null }, ...filters] };
+
+    const total = await dbClient.files.countDocuments(agg);
+    const pageFiles = await dbClient.files.aggregate([{ $match: agg }, ...pageStages(listing)]).toArray();
+    const cursor = nextCursor(pageFiles, listing);
+
+    const files = pageFiles.slice(0, listing.limit).map((file) => ({
+      id: file._id,
+      userId: file.userId,
+      name: file.name,
+      type: file.type,
+      isPublic: file.isPublic,
+      parentId: file.parentId
+    }));
+
+    // The body stays a plain array, the paging details travel in headers
+    response.setHeader('X-Total-Count', total);
+    if (cursor) response.setHeader('X-Next-Cursor', cursor);
+    return response.status(200).send(files);
+  }
+
+  static async getSearch (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    let filters;
+    try {
+      filters = searchFilters(request.query);
+    } catch (error) {
+      return response.status(400).send({ error: error.message });
+    }
+
+    const conditions = [{ deletedAt: null }, await visibleMatch(user._id), ...filters];
+    const q = String(request.query.q || '').trim();
+    if (q) conditions.push(await queryMatch(q, conditions));
+
     const page = request.query.page || 0;
 
-    const agg = { $and: [{ parentId }] };
-    let aggData = [{ $match: agg }, { $skip: page * 20 }, { $limit: 20 }];
-    if (parentId === 0) aggData = [{ $skip: page * 20 }, { $limit: 20 }];
+    const aggData = [
+      { $match: { $and: conditions } },
+      { $sort: { name: 1, _id: 1 } },
+      { $skip: page * 20 },
+      { $limit: 20 }
+    ];
 
     const pageFiles = await dbClient.files.aggregate(aggData);
     const files = [];
 
     await pageFiles.forEach((file) => {
-      const fileObj = {
+      files.push({
         id: file._id,
         userId: file.userId,
         name: file.name,
         type: file.type,
         isPublic: file.isPublic,
-        parentId: file.parentId
-      };
-      files.push(fileObj);
+        parentId: file.parentId,
+        size: file.size
+      });
     });
 
     return response.status(200).send(files);
   }
 
-  static async putPublish (request, response) {
+  static async getPath (request, response) {
     const { userId } = await getIdAndKey(request);
     if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
 
@@ -159,12 +340,101 @@ class FilesController {
     if (!user) return response.status(401).send({ error: 'Unauthorized' });
 
     const fileId = request.params.id || '';
+    if (!isValidUser(fileId)) return response.status(400).send({ error: 'Id not in BSON format' });
 
-    let file = await dbClient.files.findOne({ _id: ObjectId(fileId), userId: user._id });
+    const { file } = await findAccessible(fileId, user._id);
     if (!file) return response.status(404).send({ error: 'Not found' });
 
-    await dbClient.files.updateOne({ _id: ObjectId(fileId) }, { $set: { isPublic: true } });
-    file = await dbClient.files.findOne({ _id: ObjectId(fileId), userId: user._id });
+    // Folders above the ones shared with the user stay hidden
+    const chain = [];
+    let role = null;
+    [...(await getAncestors(file)).reverse(), file].forEach((doc) => {
+      role = inheritRole(doc, user._id, role);
+      if (role) chain.push({ id: doc._id, name: doc.name, type: doc.type });
+    });
+
+    return response.status(200).send(chain);
+  }
+
+  static async getByPath (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const segments = String(request.query.path || '').split('/').filter((segment) => segment !== '');
+    if (!segments.length) return response.status(400).send({ error: 'Missing path' });
+
+    // Paths start at the user's root, each segment is matched on name below the previous one
+    let file = null;
+    for (let i = 0; i < segments.length; i += 1) {
+      if (file && file.type !== 'folder') return response.status(404).send({ error: 'Not found' });
+
+      const scope = file
+        ? { parentId: { $in: [file._id, file._id.toString()] } }
+        : { userId: user._id, parentId: { $in: [0, '0'] } };
+      const matches = await dbClient.files.find({ ...scope, name: segments[i], deletedAt: null }).toArray();
+
+      if (!matches.length) return response.status(404).send({ error: 'Not found' });
+      if (matches.length > 1) {
+        return response.status(409).send({
+          error: 'Ambiguous path',
+          path: `/${segments.slice(0, i + 1).join('/')}`,
+          ids: matches.map((match) => match._id)
+        });
+      }
+      [file] = matches;
+    }
+    response.locals.audit.targetId = file._id;
+
+    return response.status(200).send({
+      id: file._id,
+      userId: file.userId,
+      name: file.name,
+      type: file.type,
+      isPublic: file.isPublic,
+      parentId: file.parentId,
+      tags: file.tags || [],
+      metadata: file.metadata || {}
+    });
+  }
+
+  static async getTags (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const aggData = [
+      { $match: { userId: user._id, deletedAt: null } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ];
+
+    const tags = await dbClient.files.aggregate(aggData).toArray();
+
+    return response.status(200).send(tags.map(({ _id, count }) => ({ tag: _id, count })));
+  }
+
+  static async putPublish (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const fileId = request.params.id || '';
+
+    // Making a file public is left to its owner, editors cannot widen its audience
+    const { file: found, role } = await findAccessible(fileId, user._id, 'owner');
+    if (!found) return accessDenied(response, role);
+
+    await dbClient.files.updateOne({ _id: found._id }, { $set: { isPublic: true } });
+    const file = await dbClient.files.findOne({ _id: found._id });
+    if (!found.isPublic) emitEvent('file.published', file, { actorId: user._id });
 
     return response.status(200).send({
       id: file._id,
@@ -185,11 +455,13 @@ class FilesController {
 
     const fileId = request.params.id || '';
 
-    let file = await dbClient.files.findOne({ _id: ObjectId(fileId), userId: user._id });
-    if (!file) return response.status(404).send({ error: 'Not found' });
+    // Making a file public is left to its owner, editors cannot widen its audience
+    const { file: found, role } = await findAccessible(fileId, user._id, 'owner');
+    if (!found) return accessDenied(response, role);
 
-    await dbClient.files.updateOne({ _id: ObjectId(fileId) }, { $set: { isPublic: false } });
-    file = await dbClient.files.findOne({ _id: ObjectId(fileId), userId: user._id });
+    await dbClient.files.updateOne({ _id: found._id }, { $set: { isPublic: false } });
+    const file = await dbClient.files.findOne({ _id: found._id });
+    if (found.isPublic) emitEvent('file.unpublished', file, { actorId: user._id });
 
     return response.status(200).send({
       id: file._id,
@@ -201,31 +473,470 @@ class FilesController {
     });
   }
 
+  static async patchFile (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const fileId = request.params.id || '';
+    if (!isValidUser(fileId)) return response.status(400).send({ error: 'Id not in BSON format' });
+
+    const { file, role } = await findAccessible(fileId, user._id, 'editor');
+    if (!file) return accessDenied(response, role);
+
+    const update = {};
+
+    const { name } = request.body;
+    if (name !== undefined) {
+      if (!name || typeof name !== 'string') return response.status(400).send({ error: 'Missing name' });
+      update.name = name;
+    }
+
+    if (request.body.parentId !== undefined) {
+      let parentId = request.body.parentId || 0;
+      parentId = parentId === '0' ? 0 : parentId;
+
+      if (parentId === 0) {
+        // Only the owner can take an item out of the folders it was shared through
+        if (!hasRole(role, 'owner')) return response.status(403).send({ error: 'Permission denied' });
+        update.parentId = 0;
+      } else {
+        const { file: parent, role: parentRole } = await findAccessible(parentId, user._id, 'editor');
+        if (!parent && parentRole) return response.status(403).send({ error: 'Permission denied' });
+        if (!parent) return response.status(400).send({ error: 'Parent not found' });
+        if (parent.type !== 'folder') return response.status(400).send({ error: 'Parent is not a folder' });
+
+        const ancestors = await getAncestors(parent);
+        if ([parent, ...ancestors].some((folder) => folder._id.equals(file._id))) {
+          return response.status(400).send({ error: 'Cannot move a folder into itself' });
+        }
+        update.parentId = parent._id;
+      }
+    }
+
+    // Tags and metadata are replaced as a whole
+    try {
+      if (request.body.tags !== undefined) update.tags = parseTags(request.body.tags);
+      if (request.body.metadata !== undefined) update.metadata = parseMetadata(request.body.metadata);
+    } catch (error) {
+      return response.status(400).send({ error: error.message });
+    }
+
+    if (!Object.keys(update).length) return response.status(400).send({ error: 'Missing name, parentId, tags or metadata' });
+
+    await dbClient.files.updateOne({ _id: file._id }, { $set: update });
+    const updated = { ...file, ...update };
+    if (update.parentId !== undefined && String(update.parentId) !== String(file.parentId)) {
+      emitEvent('file.moved', updated, { actorId: user._id, previousParentId: file.parentId });
+    }
+
+    return response.status(200).send({
+      id: updated._id,
+      userId: updated.userId,
+      name: updated.name,
+      type: updated.type,
+      isPublic: updated.isPublic,
+      parentId: updated.parentId,
+      tags: updated.tags || [],
+      metadata: updated.metadata || {}
+    });
+  }
+
+  static async postCopy (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const fileId = request.params.id || '';
+    if (!isValidUser(fileId)) return response.status(400).send({ error: 'Id not in BSON format' });
+
+    const { file } = await findAccessible(fileId, user._id);
+    if (!file) return response.status(404).send({ error: 'Not found' });
+
+    let parentId = request.body.parentId || 0;
+    parentId = parentId === '0' ? 0 : parentId;
+    if (parentId !== 0) {
+      const { file: parent, role: parentRole } = await findAccessible(parentId, user._id, 'editor');
+      if (!parent && parentRole) return response.status(403).send({ error: 'Permission denied' });
+      if (!parent) return response.status(400).send({ error: 'Parent not found' });
+      if (parent.type !== 'folder') return response.status(400).send({ error: 'Parent is not a folder' });
+      parentId = parent._id;
+    }
+
+    const subtree = await getSubtree(file);
+    const size = subtree.reduce((sum, doc) => sum + (doc.size || 0), 0);
+    if (size > getUsage(user).available) return response.status(413).send({ error: 'Quota exceeded' });
+
+    if (subtree.length > COPY_SYNC_LIMIT) {
+      const job = await copyQueue.add({ userId, fileId: file._id, parentId });
+      response.setHeader('Location', `/files/copies/${job.id}`);
+      return response.status(202).send({ id: job.id, status: 'waiting', progress: 0 });
+    }
+
+    let copies;
+    try {
+      copies = await copyTree(subtree, parentId, user._id);
+    } catch (error) {
+      if (error.message === 'Quota exceeded') return response.status(413).send({ error: error.message });
+      return response.status(400).send({ error: error.message });
+    }
+
+    // Thumbnails are shared with the source, the worker only fills in missing ones
+    copies
+      .filter((copy) => copy.type === 'image')
+      .forEach((copy) => fileQueue.add({ userId: copy.userId, fileId: copy._id }));
+
+    const [root] = copies;
+    return response.status(201).send({
+      id: root._id,
+      userId: root.userId,
+      name: root.name,
+      type: root.type,
+      isPublic: root.isPublic,
+      parentId: root.parentId
+    });
+  }
+
+  static async getCopy (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    return sendJob(response, await copyQueue.getJob(request.params.id), userId);
+  }
+
+  static async getExtraction (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    return sendJob(response, await archiveQueue.getJob(request.params.id), userId);
+  }
+
   static async getFile (request, response) {
     const fileId = request.params.id || '';
     const size = request.query.size || 0;
 
-    const file = await dbClient.files.findOne({ _id: ObjectId(fileId) });
+    const file = await dbClient.files.findOne({ _id: ObjectId(fileId), deletedAt: null });
     if (!file) return response.status(404).send({ error: 'Not found' });
 
-    const { isPublic, userId, type } = file;
+    const { isPublic, type } = file;
+
+    // A share link grants access on its own, without X-Token
+    let link = null;
+    let viewer = null;
+    let role = null;
+    if (request.query.token) {
+      link = await findLink(request.query.token);
+      if (!link || !link.fileId.equals(file._id)) return response.status(404).send({ error: 'Not found' });
+      if (isExpired(link)) return response.status(410).send({ error: 'Link expired' });
+
+      const password = request.header('X-Link-Password') || request.query.password;
+      response.locals.audit.details = { linkId: link._id };
+      if (link.password && (!password || !await verifyPassword(password, link.password))) {
+        return response.status(401).send({ error: 'Invalid password' });
+      }
+    } else {
+      ({ userId: viewer } = await getIdAndKey(request));
+      role = await getRole(file, viewer);
+
+      if (!isPublic && !hasRole(role, 'viewer')) return response.status(404).send({ error: 'Not found' });
+    }
 
-    const { userId: user } = await getIdAndKey(request);
+    // Folders are downloaded as a ZIP of the entries visible to the requester
+    if (type === 'folder' || request.query.format === 'zip') {
+      if (link && request.method !== 'HEAD' && !await countDownload(link)) {
+        return response.status(410).send({ error: 'Download limit reached' });
+      }
+      try {
+        await sendZip(response, file, viewer, role);
+        return response;
+      } catch (err) {
+        if (response.headersSent) return response.destroy();
+        return response.status(404).send({ error: 'Not found' });
+      }
+    }
 
-    if ((!isPublic && !user) || (user && userId.toString() !== user && !isPublic)) return response.status(404).send({ error: 'Not found' });
-    if (type === 'folder') return response.status(400).send({ error: 'A folder doesn\'t have content' });
+    let { localPath, checksum } = file;
+    if (request.query.version) {
+      const entry = getVersions(file).find((v) => v.version === Number(request.query.version));
+      if (!entry) return response.status(404).send({ error: 'Not found' });
+      ({ localPath, checksum } = entry);
+    }
 
-    const path = size === 0 ? file.localPath : `${file.localPath}_${size}`;
+    if (size !== 0 && !THUMBNAIL_SIZES.includes(Number(size))) return response.status(404).send({ error: 'Not found' });
+    if (link && size !== 0 && !link.sizes.includes(Number(size))) return response.status(404).send({ error: 'Not found' });
+    const path = size === 0 ? localPath : `${localPath}_${size}`;
 
     try {
-      const fileData = readFileSync(path);
-      const mimeType = mime.contentType(file.name);
-      response.setHeader('Content-Type', mimeType);
-      return response.status(200).send(fileData);
+      // Ranges past the first byte resume a download that was already counted
+      const sent = await sendBlob(request, response, path, {
+        contentType: mime.contentType(file.name) || 'application/octet-stream',
+        etag: size === 0 && checksum ? `"${checksum}"` : undefined,
+        admit: link && request.method !== 'HEAD' ? () => countDownload(link) : undefined
+      });
+      if (sent === null) return response.status(410).send({ error: 'Download limit reached' });
+      if (!sent) return response.status(404).send({ error: 'Not found' });
+      return response;
     } catch (err) {
+      if (response.headersSent) return response.destroy();
       return response.status(404).send({ error: 'Not found' });
     }
   }
+
+  static async deleteFile (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const fileId = request.params.id || '';
+    if (!isValidUser(fileId)) return response.status(400).send({ error: 'Id not in BSON format' });
+
+    const file = await dbClient.files.findOne({ _id: ObjectId(fileId), deletedAt: null });
+    if (!file) return response.status(404).send({ error: 'Not found' });
+    if (!hasRole(await getRole(file, user._id), 'editor')) return response.status(403).send({ error: 'Permission denied' });
+
+    await trashFile(file);
+    emitEvent('file.deleted', file, { actorId: user._id, permanent: false });
+
+    return response.status(204).send();
+  }
+
+  static async getTrash (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const page = request.query.page || 0;
+
+    const aggData = [
+      { $match: { userId: user._id, ...trashRootMatch } },
+      { $sort: { deletedAt: -1 } },
+      { $skip: page * 20 },
+      { $limit: 20 }
+    ];
+
+    const pageFiles = await dbClient.files.aggregate(aggData);
+    const files = [];
+
+    await pageFiles.forEach((file) => {
+      files.push({
+        id: file._id,
+        userId: file.userId,
+        name: file.name,
+        type: file.type,
+        isPublic: file.isPublic,
+        parentId: file.parentId,
+        deletedAt: file.deletedAt
+      });
+    });
+
+    return response.status(200).send(files);
+  }
+
+  static async postRestore (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const fileId = request.params.id || '';
+    if (!isValidUser(fileId)) return response.status(400).send({ error: 'Id not in BSON format' });
+
+    const trashed = await dbClient.files.findOne({ _id: ObjectId(fileId), userId: user._id, ...trashRootMatch });
+    if (!trashed) return response.status(404).send({ error: 'Not found' });
+
+    const file = await restoreFile(trashed);
+
+    return response.status(200).send({
+      id: file._id,
+      userId: file.userId,
+      name: file.name,
+      type: file.type,
+      isPublic: file.isPublic,
+      parentId: file.parentId
+    });
+  }
+
+  static async deletePurge (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const fileId = request.params.id || '';
+    if (!isValidUser(fileId)) return response.status(400).send({ error: 'Id not in BSON format' });
+
+    const trashed = await dbClient.files.findOne({ _id: ObjectId(fileId), userId: user._id, ...trashRootMatch });
+    if (!trashed) return response.status(404).send({ error: 'Not found' });
+
+    await purgeFile(trashed);
+    emitEvent('file.deleted', trashed, { actorId: user._id, permanent: true });
+
+    return response.status(204).send();
+  }
+
+  static async deleteTrash (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const trashed = await dbClient.files.find({ userId: user._id, ...trashRootMatch }).toArray();
+    for (const file of trashed) {
+      await purgeFile(file);
+      emitEvent('file.deleted', file, { actorId: user._id, permanent: true });
+    }
+
+    return response.status(204).send();
+  }
+
+  static async putData (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+    if (!canUpload(user)) return response.status(403).send({ error: 'Email not verified' });
+
+    const fileId = request.params.id || '';
+    if (!isValidUser(fileId)) return response.status(400).send({ error: 'Id not in BSON format' });
+
+    const { file, role } = await findAccessible(fileId, user._id, 'editor');
+    if (!file) return accessDenied(response, role);
+    if (file.type === 'folder') return response.status(400).send({ error: 'A folder doesn\'t have content' });
+
+    const fileData = request.body.data;
+    if (!fileData) return response.status(400).send({ error: 'Missing data' });
+
+    // Versions are counted in the owner usage, whoever uploads them
+    const decData = Buffer.from(fileData, 'base64');
+    if (!await reserveBytes(file.userId, decData.length)) return response.status(413).send({ error: 'Quota exceeded' });
+
+    let blob;
+    try {
+      blob = await writeBlob(decData);
+    } catch (error) {
+      await releaseBytes(file.userId, decData.length);
+      return response.status(400).send({ error: error.message });
+    }
+
+    const versions = getVersions(file);
+    const version = Math.max(0, ...versions.map((v) => v.version)) + 1;
+    const entry = { version, ...blob, createdAt: new Date() };
+
+    await dbClient.files.updateOne(
+      { _id: file._id },
+      { $set: { ...blob, version, versions: [...versions, entry] } }
+    );
+
+    if (file.type === 'image' || isTextLike(file.name)) fileQueue.add({ userId: file.userId, fileId: file._id, version });
+    emitEvent('file.uploaded', { ...file, ...blob, version }, { actorId: user._id });
+
+    return response.status(200).send({
+      id: file._id,
+      userId: file.userId,
+      name: file.name,
+      type: file.type,
+      isPublic: file.isPublic,
+      parentId: file.parentId,
+      version
+    });
+  }
+
+  static async getFileVersions (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const fileId = request.params.id || '';
+    if (!isValidUser(fileId)) return response.status(400).send({ error: 'Id not in BSON format' });
+
+    const { file } = await findAccessible(fileId, user._id);
+    if (!file) return response.status(404).send({ error: 'Not found' });
+    if (file.type === 'folder') return response.status(400).send({ error: 'A folder doesn\'t have content' });
+
+    const current = file.version || 1;
+    const versions = getVersions(file).map((v) => ({
+      version: v.version,
+      size: v.size,
+      checksum: v.checksum,
+      createdAt: v.createdAt,
+      restoredFrom: v.restoredFrom,
+      current: v.version === current
+    }));
+
+    return response.status(200).send(versions);
+  }
+
+  static async postRestoreVersion (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const fileId = request.params.id || '';
+    if (!isValidUser(fileId)) return response.status(400).send({ error: 'Id not in BSON format' });
+
+    const { file, role } = await findAccessible(fileId, user._id, 'editor');
+    if (!file) return accessDenied(response, role);
+
+    const versions = getVersions(file);
+    const target = versions.find((v) => v.version === Number(request.params.n));
+    if (!target) return response.status(404).send({ error: 'Version not found' });
+
+    if (!await reserveBytes(file.userId, target.size || 0)) return response.status(413).send({ error: 'Quota exceeded' });
+
+    // The rollback is recorded as a new version sharing the old blob and its thumbnails
+    await retainBlob(target);
+    const version = Math.max(...versions.map((v) => v.version)) + 1;
+    const entry = {
+      version,
+      localPath: target.localPath,
+      size: target.size,
+      checksum: target.checksum,
+      createdAt: new Date(),
+      restoredFrom: target.version
+    };
+
+    await dbClient.files.updateOne(
+      { _id: file._id },
+      {
+        $set: {
+          localPath: target.localPath,
+          size: target.size,
+          checksum: target.checksum,
+          version,
+          versions: [...versions, entry]
+        }
+      }
+    );
+
+    // Thumbnails are shared with the restored blob, only the indexed text needs a refresh
+    if (isTextLike(file.name)) fileQueue.add({ userId: file.userId, fileId: file._id, version });
+
+    return response.status(200).send({
+      id: file._id,
+      userId: file.userId,
+      name: file.name,
+      type: file.type,
+      isPublic: file.isPublic,
+      parentId: file.parentId,
+      version
+    });
+  }
 }
 
-export default FilesController;
\ No newline at end of file
+export default FilesController;
@@ -0,0 +1,90 @@
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { getIdAndKey, isValidUser } from '../utils/users';
+import { findAccessible } from '../utils/access';
+import { parseScopes, keyToken, formatKey } from '../utils/keys';
+
+class KeysController {
+  static async postKey (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const { name, folderId } = request.body;
+    if (!name) return response.status(400).send({ error: 'Missing name' });
+
+    let scopes = null;
+    try {
+      scopes = parseScopes(request.body.scopes);
+    } catch (error) {
+      return response.status(400).send({ error: error.message });
+    }
+
+    let folder = null;
+    if (folderId !== undefined && folderId !== null) {
+      if (!isValidUser(folderId)) return response.status(400).send({ error: 'Id not in BSON format' });
+      ({ file: folder } = await findAccessible(folderId, user._id));
+      if (!folder) return response.status(400).send({ error: 'Folder not found' });
+      if (folder.type !== 'folder') return response.status(400).send({ error: 'Not a folder' });
+    }
+
+    // Keys do not expire unless asked to
+    const expiresIn = request.body.expiresIn === undefined ? null : Number(request.body.expiresIn);
+    if (expiresIn !== null && (!Number.isInteger(expiresIn) || expiresIn <= 0)) return response.status(400).send({ error: 'Invalid expiresIn' });
+
+    const key = {
+      _id: new ObjectId(),
+      userId: user._id,
+      name: String(name),
+      scopes,
+      folderId: folder ? folder._id : null,
+      expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000) : null,
+      lastUsedAt: null,
+      createdAt: new Date(),
+      revokedAt: null
+    };
+    const { token, hash } = keyToken(key);
+    await dbClient.keys.insertOne({ ...key, hash });
+
+    // The key itself is only ever shown here
+    return response.status(201).send({ ...formatKey(key), key: token });
+  }
+
+  static async getKeys (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const keys = await dbClient.keys
+      .find({ userId: user._id, revokedAt: null })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    return response.status(200).send(keys.map(formatKey));
+  }
+
+  static async deleteKey (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const keyId = request.params.id || '';
+    if (!isValidUser(keyId)) return response.status(400).send({ error: 'Id not in BSON format' });
+
+    const { modifiedCount } = await dbClient.keys.updateOne(
+      { _id: ObjectId(keyId), userId: user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    if (!modifiedCount) return response.status(404).send({ error: 'Not found' });
+
+    return response.status(204).send();
+  }
+}
+
+export default KeysController;
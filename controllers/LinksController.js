@@ -0,0 +1,111 @@
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { getIdAndKey, isValidUser } from '../utils/users';
+import { THUMBNAIL_SIZES } from '../utils/files';
+import { LINK_DEFAULT_TTL, linkToken } from '../utils/links';
+import { hashPassword } from '../utils/passwords';
+
+function formatLink (link) {
+  return {
+    id: link._id,
+    fileId: link.fileId,
+    expiresAt: link.expiresAt,
+    hasPassword: !!link.password,
+    maxDownloads: link.maxDownloads,
+    downloads: link.downloads,
+    sizes: link.sizes,
+    createdAt: link.createdAt
+  };
+}
+
+class LinksController {
+  static async postLink (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const fileId = request.params.id || '';
+    if (!isValidUser(fileId)) return response.status(400).send({ error: 'Id not in BSON format' });
+
+    const file = await dbClient.files.findOne({ _id: ObjectId(fileId), userId: user._id, deletedAt: null });
+    if (!file) return response.status(404).send({ error: 'Not found' });
+    if (file.type === 'folder') return response.status(400).send({ error: 'A folder doesn\'t have content' });
+
+    const expiresIn = request.body.expiresIn === undefined ? LINK_DEFAULT_TTL : Number(request.body.expiresIn);
+    if (!Number.isInteger(expiresIn) || expiresIn <= 0) return response.status(400).send({ error: 'Invalid expiresIn' });
+
+    const maxDownloads = request.body.maxDownloads === undefined ? null : Number(request.body.maxDownloads);
+    if (maxDownloads !== null && (!Number.isInteger(maxDownloads) || maxDownloads <= 0)) return response.status(400).send({ error: 'Invalid maxDownloads' });
+
+    const sizes = request.body.sizes || [];
+    if (!Array.isArray(sizes) || sizes.some((size) => !THUMBNAIL_SIZES.includes(Number(size)))) {
+      return response.status(400).send({ error: 'Invalid sizes' });
+    }
+
+    const link = {
+      _id: new ObjectId(),
+      fileId: file._id,
+      userId: user._id,
+      expiresAt: new Date(Date.now() + expiresIn * 1000),
+      password: request.body.password ? await hashPassword(String(request.body.password)) : null,
+      maxDownloads,
+      downloads: 0,
+      sizes: sizes.map(Number),
+      createdAt: new Date(),
+      revokedAt: null
+    };
+    const { token, hash } = linkToken(link);
+    await dbClient.links.insertOne({ ...link, hash });
+
+    // The token itself is only ever shown here
+    return response.status(201).send({ ...formatLink(link), token, url: `/files/${link.fileId}/data?token=${token}` });
+  }
+
+  static async getLinks (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const fileId = request.params.id || '';
+    if (!isValidUser(fileId)) return response.status(400).send({ error: 'Id not in BSON format' });
+
+    const file = await dbClient.files.findOne({ _id: ObjectId(fileId), userId: user._id, deletedAt: null });
+    if (!file) return response.status(404).send({ error: 'Not found' });
+
+    const links = await dbClient.links
+      .find({ fileId: file._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    return response.status(200).send(links
+      .filter((link) => !link.maxDownloads || link.downloads < link.maxDownloads)
+      .map(formatLink));
+  }
+
+  static async deleteLink (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const { id, linkId } = request.params;
+    if (!isValidUser(id) || !isValidUser(linkId)) return response.status(400).send({ error: 'Id not in BSON format' });
+
+    const { modifiedCount } = await dbClient.links.updateOne(
+      {
+        _id: ObjectId(linkId), fileId: ObjectId(id), userId: user._id, revokedAt: null
+      },
+      { $set: { revokedAt: new Date() } }
+    );
+    if (!modifiedCount) return response.status(404).send({ error: 'Not found' });
+
+    return response.status(204).send();
+  }
+}
+
+export default LinksController;
@@ -0,0 +1,61 @@
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { getIdAndKey, isValidUser } from '../utils/users';
+import {
+  sessionIdOf, getSession, revokeSession, listSessions
+} from '../utils/sessions';
+
+class SessionsController {
+  static async getSessions (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const current = sessionIdOf(request.header('X-Token'));
+    const sessions = await listSessions(userId);
+
+    return response.status(200).send(sessions.map((session) => ({
+      id: session.id,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      ip: session.ip,
+      userAgent: session.userAgent,
+      current: session.id === current
+    })));
+  }
+
+  static async deleteSession (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const session = await getSession(request.params.id);
+    if (!session || session.userId !== userId) return response.status(404).send({ error: 'Not found' });
+
+    await revokeSession(session);
+    return response.status(204).send();
+  }
+
+  // `?others=true` keeps the session making the request
+  static async deleteSessions (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const current = sessionIdOf(request.header('X-Token'));
+    const sessions = await listSessions(userId);
+    for (const session of sessions) {
+      if (request.query.others !== 'true' || session.id !== current) await revokeSession(session);
+    }
+
+    return response.status(204).send();
+  }
+}
+
+export default SessionsController;
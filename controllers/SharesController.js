@@ -0,0 +1,121 @@
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { getIdAndKey, isValidUser } from '../utils/users';
+import { SHARE_ROLES, findAccessible } from '../utils/access';
+
+class SharesController {
+  static async postShare (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const fileId = request.params.id || '';
+    if (!isValidUser(fileId)) return response.status(400).send({ error: 'Id not in BSON format' });
+
+    const { file } = await findAccessible(fileId, user._id, 'owner');
+    if (!file) return response.status(404).send({ error: 'Not found' });
+
+    const { email, role } = request.body;
+    if (!email) return response.status(400).send({ error: 'Missing email' });
+    if (!SHARE_ROLES.includes(role)) return response.status(400).send({ error: 'Invalid role' });
+
+    const grantee = await dbClient.users.findOne({ email });
+    if (!grantee) return response.status(404).send({ error: 'User not found' });
+    if (grantee._id.equals(user._id)) return response.status(400).send({ error: 'Cannot share with yourself' });
+
+    // Sharing again with the same user replaces the previous role
+    const share = { userId: grantee._id, role, createdAt: new Date() };
+    await dbClient.files.updateOne({ _id: file._id }, { $pull: { shares: { userId: grantee._id } } });
+    await dbClient.files.updateOne({ _id: file._id }, { $push: { shares: share } });
+
+    return response.status(201).send({ userId: grantee._id, email: grantee.email, role });
+  }
+
+  static async getShares (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const fileId = request.params.id || '';
+    if (!isValidUser(fileId)) return response.status(400).send({ error: 'Id not in BSON format' });
+
+    const { file } = await findAccessible(fileId, user._id, 'owner');
+    if (!file) return response.status(404).send({ error: 'Not found' });
+
+    const shares = file.shares || [];
+    const users = await dbClient.users
+      .find({ _id: { $in: shares.map((share) => share.userId) } })
+      .toArray();
+
+    return response.status(200).send(shares.map((share) => {
+      const grantee = users.find((u) => u._id.equals(share.userId));
+      return {
+        userId: share.userId,
+        email: grantee ? grantee.email : null,
+        role: share.role,
+        createdAt: share.createdAt
+      };
+    }));
+  }
+
+  static async deleteShare (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const { id, userId: granteeId } = request.params;
+    if (!isValidUser(id) || !isValidUser(granteeId)) return response.status(400).send({ error: 'Id not in BSON format' });
+
+    const { modifiedCount } = await dbClient.files.updateOne(
+      { _id: ObjectId(id), userId: user._id, deletedAt: null },
+      { $pull: { shares: { userId: ObjectId(granteeId) } } }
+    );
+    if (!modifiedCount) return response.status(404).send({ error: 'Not found' });
+
+    return response.status(204).send();
+  }
+
+  static async getSharedWithMe (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const page = request.query.page || 0;
+
+    // Only the items shared directly are listed, their content is reached through them
+    const aggData = [
+      { $match: { 'shares.userId': user._id, deletedAt: null } },
+      { $sort: { name: 1 } },
+      { $skip: page * 20 },
+      { $limit: 20 }
+    ];
+
+    const pageFiles = await dbClient.files.aggregate(aggData);
+    const files = [];
+
+    await pageFiles.forEach((file) => {
+      const share = file.shares.find((s) => s.userId.equals(user._id));
+      files.push({
+        id: file._id,
+        userId: file.userId,
+        name: file.name,
+        type: file.type,
+        isPublic: file.isPublic,
+        parentId: file.parentId,
+        role: share.role
+      });
+    });
+
+    return response.status(200).send(files);
+  }
+}
+
+export default SharesController;
@@ -0,0 +1,221 @@
+import Queue from 'bull';
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { getIdAndKey, canUpload, isValidUser } from '../utils/users';
+import { getUsage, reserveBytes, releaseBytes } from '../utils/quota';
+import { getRole, hasRole } from '../utils/access';
+import { parseTags, parseMetadata } from '../utils/metadata';
+import { emitEvent } from '../utils/webhooks';
+import {
+  getSession, saveSession, claimSession, lockSession, unlockSession, createSession, appendChunk,
+  finalizeSession, abortSession
+} from '../utils/uploads';
+
+const fileQueue = new Queue('fileQueue');
+
+// Checks the user may still upload into `parentId`, resolves to [status, error] when not
+async function checkParent (parentId, user) {
+  if (parentId === 0) return null;
+
+  const parentFile = isValidUser(parentId)
+    ? await dbClient.files.findOne({ _id: ObjectId(parentId), deletedAt: null })
+    : null;
+  const role = parentFile ? await getRole(parentFile, user._id) : null;
+  if (!role) return [400, 'Parent not found'];
+  if (parentFile.type !== 'folder') return [400, 'Parent is not a folder'];
+  if (!hasRole(role, 'editor')) return [403, 'Permission denied'];
+  return null;
+}
+
+class UploadsController {
+  static async postSession (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+    if (!canUpload(user)) return response.status(403).send({ error: 'Email not verified' });
+
+    const fileName = request.body.name;
+    if (!fileName) return response.status(400).send({ error: 'Missing name' });
+
+    const fileType = request.body.type;
+    if (!fileType || !['file', 'image'].includes(fileType)) return response.status(400).send({ error: 'Missing type' });
+
+    const size = Number(request.body.size);
+    if (!Number.isInteger(size) || size < 0) return response.status(400).send({ error: 'Missing size' });
+
+    if (size > getUsage(user).available) return response.status(413).send({ error: 'Quota exceeded' });
+
+    let tags;
+    let metadata;
+    try {
+      tags = request.body.tags === undefined ? [] : parseTags(request.body.tags);
+      metadata = request.body.metadata === undefined ? {} : parseMetadata(request.body.metadata);
+    } catch (error) {
+      return response.status(400).send({ error: error.message });
+    }
+
+    const publicFile = request.body.isPublic === true || request.body.isPublic === 'true';
+    let parentId = request.body.parentId || 0;
+    parentId = parentId === '0' ? 0 : parentId;
+    const refusal = await checkParent(parentId, user);
+    if (refusal) return response.status(refusal[0]).send({ error: refusal[1] });
+
+    const { id, session } = await createSession({
+      userId,
+      name: fileName,
+      type: fileType,
+      isPublic: publicFile,
+      parentId,
+      size,
+      tags,
+      metadata
+    });
+
+    response.setHeader('Location', `/files/uploads/${id}`);
+    return response.status(201).send({
+      id,
+      name: session.name,
+      type: session.type,
+      isPublic: session.isPublic,
+      parentId: session.parentId,
+      size: session.size,
+      offset: session.offset
+    });
+  }
+
+  static async headSession (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).end();
+
+    const session = await getSession(request.params.id);
+    if (!session || session.userId !== userId) return response.status(404).end();
+
+    response.setHeader('Cache-Control', 'no-store');
+    response.setHeader('Upload-Offset', session.offset);
+    response.setHeader('Upload-Length', session.size);
+    return response.status(200).end();
+  }
+
+  static async patchSession (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    // A retried chunk must not be appended while the first try is still streaming
+    const lock = await lockSession(request.params.id);
+    if (!lock) return response.status(409).send({ error: 'Upload in progress' });
+
+    try {
+      const session = await getSession(request.params.id);
+      if (!session || session.userId !== userId) return response.status(404).send({ error: 'Not found' });
+
+      const offset = Number(request.header('Upload-Offset'));
+      if (!Number.isInteger(offset)) return response.status(400).send({ error: 'Missing Upload-Offset' });
+      if (offset !== session.offset) {
+        response.setHeader('Upload-Offset', session.offset);
+        return response.status(409).send({ error: 'Offset mismatch' });
+      }
+
+      try {
+        const updated = await appendChunk(request.params.id, session, request);
+        response.setHeader('Upload-Offset', updated.offset);
+        return response.status(204).send();
+      } catch (error) {
+        return response.status(400).send({ error: error.message });
+      }
+    } finally {
+      await unlockSession(request.params.id, lock);
+    }
+  }
+
+  static async postComplete (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const lock = await lockSession(request.params.id);
+    if (!lock) return response.status(409).send({ error: 'Upload in progress' });
+
+    try {
+      const pending = await getSession(request.params.id);
+      if (!pending || pending.userId !== userId) return response.status(404).send({ error: 'Not found' });
+      if (pending.offset !== pending.size) return response.status(400).send({ error: 'Upload incomplete' });
+
+      // Only one request gets the session, even if the lock ran out under a slow one
+      const session = await claimSession(request.params.id);
+      if (!session) return response.status(404).send({ error: 'Not found' });
+
+      // The folder may have been trashed or unshared since the upload started.
+      // The session is kept on refusal, so the upload can complete once resolved.
+      const refusal = await checkParent(session.parentId, user);
+      if (refusal) {
+        await saveSession(request.params.id, session);
+        return response.status(refusal[0]).send({ error: refusal[1] });
+      }
+
+      if (!await reserveBytes(user._id, session.size)) {
+        await saveSession(request.params.id, session);
+        return response.status(413).send({ error: 'Quota exceeded' });
+      }
+
+      let blob;
+      try {
+        blob = await finalizeSession(request.params.id);
+      } catch (error) {
+        await releaseBytes(user._id, session.size);
+        await abortSession(request.params.id);
+        return response.status(500).send({ error: 'Server error' });
+      }
+
+      const fileInsertData = {
+        userId: user._id,
+        name: session.name,
+        type: session.type,
+        isPublic: session.isPublic,
+        parentId: session.parentId === 0 ? 0 : ObjectId(session.parentId),
+        tags: session.tags || [],
+        metadata: session.metadata || {},
+        localPath: blob.localPath,
+        size: blob.size,
+        checksum: blob.checksum,
+        version: 1,
+        versions: [{ version: 1, ...blob, createdAt: new Date() }]
+      };
+      await dbClient.files.insertOne(fileInsertData);
+
+      fileQueue.add({
+        userId: fileInsertData.userId,
+        fileId: fileInsertData._id
+      });
+      emitEvent('file.uploaded', fileInsertData, { actorId: user._id });
+
+      return response.status(201).send({
+        id: fileInsertData._id,
+        userId: fileInsertData.userId,
+        name: fileInsertData.name,
+        type: fileInsertData.type,
+        isPublic: fileInsertData.isPublic,
+        parentId: fileInsertData.parentId
+      });
+    } finally {
+      await unlockSession(request.params.id, lock);
+    }
+  }
+
+  static async deleteSession (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const session = await getSession(request.params.id);
+    if (!session || session.userId !== userId) return response.status(404).send({ error: 'Not found' });
+
+    await abortSession(request.params.id);
+
+    return response.status(204).send();
+  }
+}
+
+export default UploadsController;
@@ -1,19 +1,29 @@
-import sha1 from 'sha1';
+import Queue from 'bull';
 import { ObjectId } from 'mongodb';
 import dbClient from '../utils/db';
-import redisClient from '../utils/redis';
+import { getIdAndKey } from '../utils/users';
+import { getUsage } from '../utils/quota';
+import { hashPassword, checkStrength } from '../utils/passwords';
+import { peekToken, consumeToken } from '../utils/tokens';
+import { listSessions, revokeSession } from '../utils/sessions';
+import { clearLoginFailures } from '../utils/ratelimit';
+
+const userQueue = new Queue('userQueue');
 
 class UsersController {
   static async postNew (request, response) {
     const { email, password } = request.body;
     if (!email) {
-      response.status(400).json({ error: 'Missing email' });
+      return response.status(400).json({ error: 'Missing email' });
     }
     if (!password) {
-      response.status(400).json({ error: 'Missing password' });
+      return response.status(400).json({ error: 'Missing password' });
     }
 
-    const hashPwd = sha1(password);
+    const weakness = checkStrength(password, email);
+    if (weakness) {
+      return response.status(400).json({ error: weakness });
+    }
 
     try {
       const collection = dbClient.db.collection('users');
@@ -22,10 +32,12 @@ class UsersController {
       if (user1) {
         response.status(400).json({ error: 'Already exist' });
       } else {
-        collection.insertOne({ email, password: hashPwd });
+        await collection.insertOne({ email, password: await hashPassword(password), verified: false });
         const newUser = await collection.findOne(
           { email }, { projection: { email: 1 } }
         );
+        await userQueue.add({ userId: newUser._id.toString(), type: 'verify' });
+        response.locals.audit = { actorId: newUser._id };
         response.status(201).json({ id: newUser._id, email: newUser.email });
       }
     } catch (error) {
@@ -36,17 +48,125 @@ class UsersController {
 
   static async getMe (request, response) {
     try {
-      const userToken = request.header('X-Token');
-      const authKey = `auth_${userToken}`;
-      // console.log('USER TOKEN GET ME', userToken);
-      const userID = await redisClient.get(authKey);
-      console.log('USER KEY GET ME', userID);
+      // Session tokens and API keys alike
+      const { userId: userID } = await getIdAndKey(request);
       if (!userID) {
-        response.status(401).json({ error: 'Unauthorized' });
+        return response.status(401).json({ error: 'Unauthorized' });
       }
       const user = await dbClient.getUser({ _id: ObjectId(userID) });
-      // console.log('USER GET ME', user);
-      response.json({ id: user._id, email: user.email });
+      response.json({
+        id: user._id, email: user.email, verified: user.verified !== false, storage: getUsage(user)
+      });
+    } catch (error) {
+      console.log(error);
+      response.status(500).json({ error: 'Server error' });
+    }
+  }
+
+  static async postVerify (request, response) {
+    const { token } = request.body;
+    if (!token) {
+      return response.status(400).json({ error: 'Missing token' });
+    }
+
+    try {
+      const userId = await consumeToken('verify', token);
+      if (!userId) {
+        return response.status(400).json({ error: 'Invalid token' });
+      }
+      response.locals.audit = { actorId: userId };
+
+      await dbClient.users.updateOne(
+        { _id: ObjectId(userId) },
+        { $set: { verified: true, verifiedAt: new Date() } }
+      );
+      const user = await dbClient.getUser({ _id: ObjectId(userId) });
+      if (!user) {
+        return response.status(400).json({ error: 'Invalid token' });
+      }
+      response.status(200).json({ id: user._id, email: user.email, verified: true });
+    } catch (error) {
+      console.log(error);
+      response.status(500).json({ error: 'Server error' });
+    }
+  }
+
+  static async postResendVerification (request, response) {
+    try {
+      const { userId } = await getIdAndKey(request);
+      if (!userId) {
+        return response.status(401).json({ error: 'Unauthorized' });
+      }
+
+      const user = await dbClient.getUser({ _id: ObjectId(userId) });
+      if (user.verified !== false) {
+        return response.status(400).json({ error: 'Already verified' });
+      }
+
+      await userQueue.add({ userId, type: 'verify' });
+      response.status(202).json({});
+    } catch (error) {
+      console.log(error);
+      response.status(500).json({ error: 'Server error' });
+    }
+  }
+
+  // Answers the same whether the email is known or not
+  static async postForgotPassword (request, response) {
+    const { email } = request.body;
+    if (!email) {
+      return response.status(400).json({ error: 'Missing email' });
+    }
+
+    try {
+      const user = await dbClient.getUser({ email });
+      if (user) {
+        await userQueue.add({ userId: user._id.toString(), type: 'reset' });
+        response.locals.audit = { actorId: null, targetId: user._id };
+      }
+      response.status(202).json({});
+    } catch (error) {
+      console.log(error);
+      response.status(500).json({ error: 'Server error' });
+    }
+  }
+
+  static async postResetPassword (request, response) {
+    const { token, password } = request.body;
+    if (!token) {
+      return response.status(400).json({ error: 'Missing token' });
+    }
+    if (!password) {
+      return response.status(400).json({ error: 'Missing password' });
+    }
+
+    try {
+      // A refused password leaves the token usable for another try
+      const pending = await peekToken('reset', token);
+      const user = pending ? await dbClient.getUser({ _id: ObjectId(pending) }) : null;
+      if (!user) {
+        return response.status(400).json({ error: 'Invalid token' });
+      }
+      response.locals.audit = { actorId: user._id };
+
+      const weakness = checkStrength(password, user.email);
+      if (weakness) {
+        return response.status(400).json({ error: weakness });
+      }
+
+      if (await consumeToken('reset', token) !== pending) {
+        return response.status(400).json({ error: 'Invalid token' });
+      }
+
+      // Receiving the mail proves the address, and every session of the old password ends
+      await dbClient.users.updateOne(
+        { _id: user._id },
+        { $set: { password: await hashPassword(password), verified: true } }
+      );
+      for (const session of await listSessions(pending)) await revokeSession(session);
+      await clearLoginFailures(user.email);
+
+      response.status(200).json({ id: user._id, email: user.email });
     } catch (error) {
       console.log(error);
       response.status(500).json({ error: 'Server error' });
@@ -0,0 +1,129 @@
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { getIdAndKey, isValidUser } from '../utils/users';
+import {
+  parseEvents, parseUrl, webhookSecret, queueDelivery
+} from '../utils/webhooks';
+
+function formatWebhook (webhook) {
+  return {
+    id: webhook._id,
+    url: webhook.url,
+    events: webhook.events,
+    createdAt: webhook.createdAt
+  };
+}
+
+class WebhooksController {
+  static async postWebhook (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    if (!request.body.url) return response.status(400).send({ error: 'Missing url' });
+    const url = parseUrl(request.body.url);
+    if (!url) return response.status(400).send({ error: 'Invalid url' });
+
+    let events = null;
+    try {
+      events = parseEvents(request.body.events);
+    } catch (error) {
+      return response.status(400).send({ error: error.message });
+    }
+
+    const webhook = {
+      userId: user._id,
+      url,
+      events,
+      secret: webhookSecret(),
+      createdAt: new Date()
+    };
+    await dbClient.webhooks.insertOne(webhook);
+
+    // The secret is only ever shown here
+    return response.status(201).send({ ...formatWebhook(webhook), secret: webhook.secret });
+  }
+
+  static async getWebhooks (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const webhooks = await dbClient.webhooks.find({ userId: user._id }).sort({ createdAt: -1 }).toArray();
+
+    return response.status(200).send(webhooks.map(formatWebhook));
+  }
+
+  static async deleteWebhook (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const webhookId = request.params.id || '';
+    if (!isValidUser(webhookId)) return response.status(400).send({ error: 'Id not in BSON format' });
+
+    // Pending deliveries are cancelled by the worker once the webhook is gone
+    const { deletedCount } = await dbClient.webhooks.deleteOne({ _id: ObjectId(webhookId), userId: user._id });
+    if (!deletedCount) return response.status(404).send({ error: 'Not found' });
+
+    return response.status(204).send();
+  }
+
+  static async getDeliveries (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const webhookId = request.params.id || '';
+    if (!isValidUser(webhookId)) return response.status(400).send({ error: 'Id not in BSON format' });
+
+    const webhook = await dbClient.webhooks.findOne({ _id: ObjectId(webhookId), userId: user._id });
+    if (!webhook) return response.status(404).send({ error: 'Not found' });
+
+    const page = Number(request.query.page) || 0;
+    const deliveries = await dbClient.deliveries
+      .find({ webhookId: webhook._id })
+      .sort({ createdAt: -1 })
+      .skip(page * 20)
+      .limit(20)
+      .toArray();
+
+    return response.status(200).send(deliveries.map((delivery) => ({
+      id: delivery._id,
+      event: delivery.event,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      createdAt: delivery.createdAt,
+      deliveredAt: delivery.deliveredAt
+    })));
+  }
+
+  // Sends a `ping` event, whatever events the webhook listens to
+  static async postTestEvent (request, response) {
+    const { userId } = await getIdAndKey(request);
+    if (!isValidUser(userId)) return response.status(401).send({ error: 'Unauthorized' });
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    if (!user) return response.status(401).send({ error: 'Unauthorized' });
+
+    const webhookId = request.params.id || '';
+    if (!isValidUser(webhookId)) return response.status(400).send({ error: 'Id not in BSON format' });
+
+    const webhook = await dbClient.webhooks.findOne({ _id: ObjectId(webhookId), userId: user._id });
+    if (!webhook) return response.status(404).send({ error: 'Not found' });
+
+    const delivery = await queueDelivery(webhook, 'ping', { webhookId: webhook._id });
+
+    return response.status(202).send({ id: delivery._id, event: delivery.event, status: delivery.status });
+  }
+}
+
+export default WebhooksController;
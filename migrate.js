@@ -0,0 +1,79 @@
+import dbClient from './utils/db';
+import { createStorage, blobKey } from './utils/storage';
+import { THUMBNAIL_SIZES, getVersions } from './utils/files';
+
+/*
+ * Copies every blob referenced by a file document, with its thumbnails, from one
+ * storage backend to another. Run it before switching STORAGE_DRIVER:
+ *
+ *   npx babel-node --presets @babel/preset-env migrate.js <from> <to> [--delete]
+ *
+ * Blobs already present with the same size on the target are skipped.
+ * With --delete, each blob is removed from the source once copied.
+ */
+
+const waitForDb = async (timeout = 10000) => {
+  const start = Date.now();
+  while (!dbClient.isAlive()) {
+    if (Date.now() - start > timeout) throw Error('MongoDB not reachable');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+};
+
+const listKeys = async () => {
+  const keys = new Set();
+  const cursor = dbClient.files.find({ type: { $ne: 'folder' } });
+
+  await cursor.forEach((file) => {
+    getVersions(file).forEach(({ localPath }) => {
+      const key = blobKey(localPath);
+      keys.add(key);
+      if (file.type === 'image') THUMBNAIL_SIZES.forEach((size) => keys.add(`${key}_${size}`));
+    });
+  });
+
+  return [...keys];
+};
+
+const migrate = async (from, to, remove) => {
+  const source = createStorage(from);
+  const target = createStorage(to);
+  const counts = { copied: 0, skipped: 0, missing: 0 };
+
+  await waitForDb();
+  const keys = await listKeys();
+
+  for (const key of keys) {
+    const stats = await source.stat(key);
+    if (!stats) {
+      counts.missing += 1;
+    } else {
+      const existing = await target.stat(key);
+      if (existing && existing.size === stats.size) {
+        counts.skipped += 1;
+      } else {
+        await target.put(key, await source.get(key));
+        counts.copied += 1;
+      }
+      if (remove) await source.delete(key);
+    }
+  }
+
+  return counts;
+};
+
+const [from, to] = process.argv.slice(2).filter((arg) => !arg.startsWith('--'));
+if (!from || !to || from === to) {
+  console.log('Usage: migrate.js <from> <to> [--delete]');
+  process.exit(1);
+}
+
+migrate(from, to, process.argv.includes('--delete'))
+  .then(({ copied, skipped, missing }) => {
+    console.log(`Copied ${copied} blobs, skipped ${skipped}, ${missing} missing on ${from}`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.log(error.message);
+    process.exit(1);
+  });
@@ -3,20 +3,93 @@ import AppController from '../controllers/AppController';
 import UsersController from '../controllers/UsersController';
 import AuthController from '../controllers/AuthController';
 import FilesController from '../controllers/FilesController';
+import UploadsController from '../controllers/UploadsController';
+import LinksController from '../controllers/LinksController';
+import SharesController from '../controllers/SharesController';
+import SessionsController from '../controllers/SessionsController';
+import KeysController from '../controllers/KeysController';
+import WebhooksController from '../controllers/WebhooksController';
+import ActivityController from '../controllers/ActivityController';
+import { rateLimit } from '../utils/ratelimit';
+import { auditLog } from '../utils/audit';
 
 const router = express.Router();
 
-// the get Routes
+// Health checks answer ahead of the middlewares, they must not wait on Redis
 router.get('/status', AppController.getStatus);
 router.get('/stats', AppController.getStats);
+
+// Every other route is counted against the budgets of its group
+router.use(rateLimit);
+// Files, auth and users actions are written to the activity log
+router.use(auditLog);
+
+// the get Routes
 router.get('/connect', AuthController.getConnect);
 router.get('/disconnect', AuthController.getDisconnect);
 router.get('/users/me', UsersController.getMe);
+router.get('/users/me/sessions', SessionsController.getSessions);
+router.get('/users/me/keys', KeysController.getKeys);
+router.get('/users/me/webhooks', WebhooksController.getWebhooks);
+router.get('/users/me/webhooks/:id/deliveries', WebhooksController.getDeliveries);
+router.get('/users/me/activity', ActivityController.getMyActivity);
+router.get('/files/trash', FilesController.getTrash);
+router.get('/files/shared-with-me', SharesController.getSharedWithMe);
+router.get('/files/search', FilesController.getSearch);
+router.get('/files/tags', FilesController.getTags);
+router.get('/files/by-path', FilesController.getByPath);
+router.get('/files/copies/:id', FilesController.getCopy);
+router.get('/files/extractions/:id', FilesController.getExtraction);
 router.get('/files/:id', FilesController.getShow);
+router.get('/files/:id/data', FilesController.getFile);
+router.get('/files/:id/versions', FilesController.getFileVersions);
+router.get('/files/:id/path', FilesController.getPath);
+router.get('/files/:id/activity', ActivityController.getFileActivity);
+router.get('/files/:id/links', LinksController.getLinks);
+router.get('/files/:id/shares', SharesController.getShares);
 router.get('/files', FilesController.getIndex);
 
 // the post Routes
 router.post('/users', UsersController.postNew);
+router.post('/users/verify', UsersController.postVerify);
+router.post('/users/verify/resend', UsersController.postResendVerification);
+router.post('/users/forgot-password', UsersController.postForgotPassword);
+router.post('/users/reset-password', UsersController.postResetPassword);
+router.post('/connect/refresh', AuthController.postRefresh);
+router.post('/users/me/keys', KeysController.postKey);
+router.post('/users/me/webhooks', WebhooksController.postWebhook);
+router.post('/users/me/webhooks/:id/test', WebhooksController.postTestEvent);
 router.post('/files', FilesController.postUpload);
+router.post('/files/uploads', UploadsController.postSession);
+router.post('/files/uploads/:id/complete', UploadsController.postComplete);
+router.post('/files/:id/restore', FilesController.postRestore);
+router.post('/files/:id/copy', FilesController.postCopy);
+router.post('/files/:id/versions/:n/restore', FilesController.postRestoreVersion);
+router.post('/files/:id/links', LinksController.postLink);
+router.post('/files/:id/shares', SharesController.postShare);
+
+// the head Routes
+router.head('/files/uploads/:id', UploadsController.headSession);
+
+// the patch Routes
+router.patch('/files/uploads/:id', UploadsController.patchSession);
+router.patch('/files/:id', FilesController.patchFile);
+
+// the put Routes
+router.put('/files/:id/publish', FilesController.putPublish);
+router.put('/files/:id/unpublish', FilesController.putUnpublish);
+router.put('/files/:id/data', FilesController.putData);
+
+// the delete Routes
+router.delete('/users/me/sessions', SessionsController.deleteSessions);
+router.delete('/users/me/sessions/:id', SessionsController.deleteSession);
+router.delete('/users/me/keys/:id', KeysController.deleteKey);
+router.delete('/users/me/webhooks/:id', WebhooksController.deleteWebhook);
+router.delete('/files/trash', FilesController.deleteTrash);
+router.delete('/files/trash/:id', FilesController.deletePurge);
+router.delete('/files/uploads/:id', UploadsController.deleteSession);
+router.delete('/files/:id/links/:linkId', LinksController.deleteLink);
+router.delete('/files/:id/shares/:userId', SharesController.deleteShare);
+router.delete('/files/:id', FilesController.deleteFile);
 
 module.exports = router;
\ No newline at end of file
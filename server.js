@@ -3,6 +3,12 @@ import indexRouter from './routes/index';
 
 const app = express();
 
+// Behind a reverse proxy, client IPs come from X-Forwarded-For (e.g. TRUST_PROXY=1)
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', Number.isNaN(Number(trust)) ? trust : Number(trust));
+}
+
 const port = process.env.PORT || 5000;
 
 app.use(express.json());
@@ -0,0 +1,134 @@
+import sha1 from 'sha1';
+import { expect } from 'chai';
+import request from 'supertest';
+import app from '../../server';
+import dbClient from '../../utils/db';
+import redisClient from '../../utils/redis';
+import { addUser } from '../helpers';
+
+// Entries are written once the response is sent
+async function waitForActivity(count) {
+  for (let i = 0; i < 20; i += 1) {
+    if (await dbClient.db.collection('activity').countDocuments() >= count) return;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+describe('activityController', () => {
+  let mockUserInfo = null;
+  let mockUserToken = null;
+  let mockUser1Token = null;
+  let mockFileInfo = null;
+
+  beforeEach(async () => {
+    await dbClient.db.collection('files').deleteMany({});
+    await dbClient.db.collection('users').deleteMany({});
+
+    [mockUserInfo, mockUserToken] = await addUser({
+      email: 'tester0@test.com',
+      password: sha1('secret~!'),
+    });
+    [, mockUser1Token] = await addUser({
+      email: 'tester1@test.com',
+      password: sha1('secret~!'),
+    });
+
+    mockFileInfo = await dbClient.db.collection('files').insertOne({
+      userId: mockUserInfo.ops[0]._id,
+      name: 'report.pdf',
+      type: 'file',
+      isPublic: false,
+      parentId: 0,
+    });
+    await dbClient.db.collection('activity').deleteMany({});
+  });
+
+  after(async () => {
+    await dbClient.db.collection('files').deleteMany({});
+    await dbClient.db.collection('users').deleteMany({});
+    await dbClient.db.collection('activity').deleteMany({});
+  });
+
+  it('records the actions of the user', async () => {
+    await request(app).get(`/files/${mockFileInfo.ops[0]._id}`)
+      .set('X-Token', mockUserToken)
+      .set('User-Agent', 'activity-test');
+    await request(app).put(`/files/${mockFileInfo.ops[0]._id}/publish`)
+      .set('X-Token', mockUserToken);
+    await waitForActivity(2);
+
+    const res = await request(app).get('/users/me/activity')
+      .set('X-Token', mockUserToken);
+    expect(res.statusCode).to.equal(200);
+    expect(res.header['x-total-count']).to.equal('2');
+    expect(res.body.map((entry) => entry.action)).to.deep.equal(['file.publish', 'file.view']);
+    expect(res.body[1].targetId).to.equal(mockFileInfo.ops[0]._id.toString());
+    expect(res.body[1].outcome).to.equal('success');
+    expect(res.body[1].userAgent).to.equal('activity-test');
+  });
+
+  it('shows failed logins to the account they targeted', async () => {
+    const basicAuth = `Basic ${Buffer.from('tester0@test.com:carrot~!', 'binary').toString('base64')}`;
+    await request(app).get('/connect').set('Authorization', basicAuth);
+    await redisClient.del('login_failures_tester0@test.com');
+    await waitForActivity(1);
+
+    const res = await request(app).get('/users/me/activity')
+      .query({ action: 'auth.*', outcome: 'failure' })
+      .set('X-Token', mockUserToken);
+    expect(res.statusCode).to.equal(200);
+    expect(res.body.length).to.equal(1);
+    expect(res.body[0].action).to.equal('auth.login');
+    expect(res.body[0].actorId).to.equal(null);
+    expect(res.body[0].statusCode).to.equal(401);
+    expect(res.body[0].details).to.deep.equal({ email: 'tester0@test.com' });
+  });
+
+  it('lists what others did to a file to its owner only', async () => {
+    await request(app).get(`/files/${mockFileInfo.ops[0]._id}`)
+      .set('X-Token', mockUser1Token);
+    await waitForActivity(1);
+
+    let res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/activity`)
+      .set('X-Token', mockUserToken);
+    expect(res.statusCode).to.equal(200);
+    expect(res.body.map((entry) => [entry.action, entry.outcome])).to.deep.equal([['file.view', 'failure']]);
+
+    res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/activity`)
+      .set('X-Token', mockUser1Token);
+    expect(res.statusCode).to.equal(404);
+  });
+
+  it('pages through the activity', async () => {
+    for (let i = 0; i < 3; i += 1) {
+      await request(app).get(`/files/${mockFileInfo.ops[0]._id}`)
+        .set('X-Token', mockUserToken);
+    }
+    await waitForActivity(3);
+
+    const first = await request(app).get('/users/me/activity')
+      .query({ limit: 2 })
+      .set('X-Token', mockUserToken);
+    expect(first.body.length).to.equal(2);
+    expect(first.header['x-next-cursor']).to.be.a('string');
+
+    const second = await request(app).get('/users/me/activity')
+      .query({ limit: 2, cursor: first.header['x-next-cursor'] })
+      .set('X-Token', mockUserToken);
+    expect(second.body.length).to.equal(1);
+  });
+
+  it('fails with invalid filters', async () => {
+    let res = await request(app).get('/users/me/activity')
+      .query({ action: 'file.rename' })
+      .set('X-Token', mockUserToken);
+    expect(res.statusCode).to.equal(400);
+    expect(res.body).to.deep.equal({ error: 'Invalid action' });
+
+    res = await request(app).get('/users/me/activity')
+      .query({ since: 'yesterday' })
+      .set('X-Token', mockUserToken);
+    expect(res.statusCode).to.equal(400);
+    expect(res.body).to.deep.equal({ error: 'Invalid since' });
+  });
+});
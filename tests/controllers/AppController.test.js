@@ -29,6 +29,7 @@ describe('appController', () => {
       expect(res.body).to.deep.equal({
         users: 0,
         files: 0,
+        bytes: 0,
       });
     });
 
@@ -43,7 +44,17 @@ describe('appController', () => {
       expect(res.body).to.deep.equal({
         users: 12,
         files: 12,
+        bytes: 0,
       });
     });
+
+    it('returns the bytes used by all users', async () => {
+      await dbClient.db.collection('users').insertOne({ email: 'me-0@me.com', usedBytes: 1200 });
+      await dbClient.db.collection('users').insertOne({ email: 'me-1@me.com', usedBytes: 34 });
+
+      const res = await request(app).get('/stats');
+      expect(res.statusCode).to.eql(200);
+      expect(res.body.bytes).to.equal(1234);
+    });
   });
-});
\ No newline at end of file
+});
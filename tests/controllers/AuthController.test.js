@@ -32,6 +32,22 @@ describe('authController', () => {
       expect(redisToken).to.not.be.null;
     });
 
+    it('replaces a SHA-1 password with a scrypt hash after login', async () => {
+      const basicAuth = `Basic ${Buffer.from(`${mockUser.email}:secret~!`,
+        'binary').toString('base64')}`;
+
+      let res = await request(app).get('/connect')
+        .set('Authorization', basicAuth);
+      expect(res.statusCode).to.eql(200);
+
+      const user = await dbClient.db.collection('users').findOne({ email: mockUser.email });
+      expect(user.password).to.match(/^\$scrypt\$/);
+
+      res = await request(app).get('/connect')
+        .set('Authorization', basicAuth);
+      expect(res.statusCode).to.eql(200);
+    });
+
     it('fail with 401 HTTP status when email is unknown', async () => {
       const basicAuth = `Basic ${Buffer.from('unknown@gmail.com:secret~!',
         'binary').toString('base64')}`;
@@ -69,6 +85,36 @@ describe('authController', () => {
     });
   });
 
+  describe('failed logins', () => {
+    const lockedUser = { email: 'locked@test.com', password: sha1('secret~!') };
+    const auth = (password) => `Basic ${Buffer.from(`${lockedUser.email}:${password}`,
+      'binary').toString('base64')}`;
+
+    before(async () => {
+      await dbClient.db.collection('users').insertOne(lockedUser);
+    });
+
+    after(async () => {
+      await dbClient.db.collection('users').deleteMany({});
+      await redisClient.del(`login_lock_${lockedUser.email}`);
+      await redisClient.del(`login_failures_${lockedUser.email}`);
+    });
+
+    it('locks the account after repeated failures', async () => {
+      for (let i = 0; i < 5; i += 1) {
+        const res = await request(app).get('/connect')
+          .set('Authorization', auth('carrot~!'));
+        expect(res.statusCode).to.eql(401);
+      }
+
+      const res = await request(app).get('/connect')
+        .set('Authorization', auth('secret~!'));
+      expect(res.statusCode).to.eql(429);
+      expect(res.body).to.deep.equal({ error: 'Too many failed logins' });
+      expect(Number(res.header['retry-after'])).to.be.greaterThan(0);
+    });
+  });
+
   describe('gET /disconnect', () => {
     let usr = null;
     let usrToken = null;
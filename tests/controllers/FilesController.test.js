@@ -3,6 +3,7 @@ import { expect } from 'chai';
 import request from 'supertest';
 import { promisify } from 'util';
 import { v4 as uuidv4 } from 'uuid';
+import { ObjectId } from 'mongodb';
 import app from '../../server';
 import dbClient from '../../utils/db';
 import redisClient from '../../utils/redis';
@@ -12,6 +13,13 @@ const { exec } = require('child_process');
 const execAsyc = promisify(exec);
 
 const fs = require('fs');
+const crypto = require('crypto');
+
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
 
 async function addUser(data) {
   const userInfo = await dbClient.db.collection('users').insertOne(data);
@@ -74,6 +82,23 @@ describe('filesController', () => {
       expect(docs.length).to.not.be.greaterThan(2);
     });
 
+    it('fails for unverified users when verification is required', async () => {
+      await dbClient.db.collection('users').updateOne(
+        { _id: mockUserInfo.ops[0]._id }, { $set: { verified: false } },
+      );
+      process.env.REQUIRE_VERIFIED_UPLOADS = 'true';
+
+      try {
+        const res = await request(app).post('/files')
+          .set('X-Token', mockUserToken)
+          .send({ name: 'images', type: 'folder' });
+        expect(res.statusCode).to.equal(403);
+        expect(res.body).to.deep.equal({ error: 'Email not verified' });
+      } finally {
+        delete process.env.REQUIRE_VERIFIED_UPLOADS;
+      }
+    });
+
     it("fails when 'name' is missing", async () => {
       const res = await request(app).post('/files')
         .set('X-Token', mockUserToken)
@@ -220,6 +245,72 @@ describe('filesController', () => {
       const fileContent = await readFileAsync(res.body.localPath);
       expect(Buffer.from(fileContent, 'base64').toString()).to.deep.equal('Hello!');
     });
+
+    it('successfully creates a file from a multipart upload', async () => {
+      const res = await request(app).post('/files')
+        .set('X-Token', mockUserToken)
+        .field('type', 'file')
+        .field('isPublic', 'true')
+        .field('parentId', mockFolderInfo.ops[0]._id.toString())
+        .attach('file', Buffer.from('Hello!'), 'hello.txt');
+      expect(res.statusCode).to.equal(201);
+      expect(res.body.name).to.equal('hello.txt');
+      expect(res.body.isPublic).to.equal(true);
+      expect(res.body.parentId).to.equal(mockFolderInfo.ops[0]._id.toString());
+
+      const doc = await dbClient.db.collection('files').findOne({ name: 'hello.txt' });
+      expect(doc.size).to.equal(6);
+      expect(doc.checksum).to.equal(crypto.createHash('sha256').update('Hello!').digest('hex'));
+      expect(fs.readFileSync(doc.localPath).toString()).to.equal('Hello!');
+    });
+
+    it('successfully creates a file from a raw body upload', async () => {
+      const res = await request(app).post('/files')
+        .set('X-Token', mockUserToken)
+        .set('Content-Type', 'application/octet-stream')
+        .query({ name: 'raw.bin', type: 'file' })
+        .send(Buffer.from('Hello!'));
+      expect(res.statusCode).to.equal(201);
+      expect(res.body.name).to.equal('raw.bin');
+      expect(res.body.parentId).to.equal(0);
+
+      const doc = await dbClient.db.collection('files').findOne({ name: 'raw.bin' });
+      expect(doc.size).to.equal(6);
+      expect(fs.readFileSync(doc.localPath).toString()).to.equal('Hello!');
+    });
+
+    it('removes the streamed content when the upload is rejected', async () => {
+      const folderPath = process.env.FOLDER_PATH || '/tmp/files_manager';
+      fs.mkdirSync(folderPath, { recursive: true });
+      const before = fs.readdirSync(folderPath).length;
+      const res = await request(app).post('/files')
+        .set('X-Token', mockUserToken)
+        .field('type', 'file')
+        .field('parentId', '5f1e881cc7ba06511e683b23')
+        .attach('file', Buffer.from('Hello!'), 'hello.txt');
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Parent not found' });
+      expect(fs.readdirSync(folderPath).length).to.equal(before);
+    });
+
+    it('queues an archive for extraction with extract=true', async () => {
+      let res = await request(app).post('/files')
+        .set('X-Token', mockUserToken)
+        .field('type', 'file')
+        .field('extract', 'true')
+        .field('parentId', mockFolderInfo.ops[0]._id.toString())
+        .attach('file', Buffer.from('PK archive'), 'site.zip');
+      expect(res.statusCode).to.equal(202);
+      expect(res.header.location).to.equal(`/files/extractions/${res.body.id}`);
+
+      const docs = await dbClient.db.collection('files').find({}).toArray();
+      expect(docs.length).to.equal(2);
+
+      res = await request(app).get(`/files/extractions/${res.body.id}`)
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.status).to.be.oneOf(['waiting', 'active', 'completed', 'failed']);
+    });
   });
 
   describe('gET /files/:id', () => {
@@ -344,7 +435,91 @@ describe('filesController', () => {
       const res = await request(app).get('/files')
         .set('X-Token', `${mockUserToken}`);
       expect(res.statusCode).to.equal(200);
+      expect(res.body.map((f) => f.name)).to.deep.equal(['Notes']);
+    });
+
+    it("only lists the user's own items at the root", async () => {
+      const [otherInfo, otherToken] = await addUser({ email: 'other@test.com', password: sha1('secret~!') });
+      await dbClient.db.collection('files').insertOne({
+        userId: otherInfo.ops[0]._id, name: 'Other', type: 'folder', isPublic: true, parentId: 0,
+      });
+
+      let res = await request(app).get('/files')
+        .set('X-Token', `${mockUserToken}`);
+      expect(res.body.map((f) => f.name)).to.deep.equal(['Notes']);
+
+      res = await request(app).get('/files')
+        .set('X-Token', `${otherToken}`);
+      expect(res.body.map((f) => f.name)).to.deep.equal(['Other']);
+    });
+
+    it('returns the total count and sorts on request', async () => {
+      const res = await request(app).get('/files')
+        .query({
+          parentId: mockFolderInfo.ops[0]._id.toString(), sort: 'name', order: 'desc', limit: 5,
+        })
+        .set('X-Token', `${mockUserToken}`);
+      expect(res.statusCode).to.equal(200);
+      expect(res.header['x-total-count']).to.equal('45');
+      expect(res.body.map((f) => f.name)).to.deep.equal(['file9', 'file8', 'file7', 'file6', 'file5']);
+    });
+
+    it('walks all the files with the next cursor', async () => {
+      const names = [];
+      let cursor;
+      let pages = 0;
+      do {
+        const res = await request(app).get('/files')
+          .query({ parentId: mockFolderInfo.ops[0]._id.toString(), sort: 'name', ...(cursor ? { cursor } : {}) })
+          .set('X-Token', `${mockUserToken}`);
+        expect(res.statusCode).to.equal(200);
+        names.push(...res.body.map((f) => f.name));
+        cursor = res.header['x-next-cursor'];
+        pages += 1;
+      } while (cursor);
+
+      expect(pages).to.equal(3);
+      expect(new Set(names).size).to.equal(45);
+      expect(names).to.deep.equal([...names].sort());
+    });
+
+    it('filters by type and isPublic', async () => {
+      let res = await request(app).get('/files')
+        .query({ parentId: mockFolderInfo.ops[0]._id.toString(), isPublic: 'false' })
+        .set('X-Token', `${mockUserToken}`);
       expect(res.body.length).to.equal(0);
+      expect(res.header['x-total-count']).to.equal('0');
+
+      res = await request(app).get('/files')
+        .query({ type: 'folder' })
+        .set('X-Token', `${mockUserToken}`);
+      expect(res.body.map((f) => f.name)).to.deep.equal(['Notes']);
+    });
+
+    it('fails with an invalid page size or cursor', async () => {
+      let res = await request(app).get('/files')
+        .query({ limit: 0 })
+        .set('X-Token', `${mockUserToken}`);
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Invalid limit' });
+
+      res = await request(app).get('/files')
+        .query({ parentId: mockFolderInfo.ops[0]._id.toString(), limit: 5 })
+        .set('X-Token', `${mockUserToken}`);
+      res = await request(app).get('/files')
+        .query({ parentId: mockFolderInfo.ops[0]._id.toString(), sort: 'name', cursor: res.header['x-next-cursor'] })
+        .set('X-Token', `${mockUserToken}`);
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Invalid cursor' });
+
+      const crafted = Buffer.from(JSON.stringify({
+        sort: 'name', order: 'asc', key: { $ne: null }, id: mockFolderInfo.ops[0]._id.toString(),
+      })).toString('base64');
+      res = await request(app).get('/files')
+        .query({ parentId: mockFolderInfo.ops[0]._id.toString(), sort: 'name', cursor: crafted })
+        .set('X-Token', `${mockUserToken}`);
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Invalid cursor' });
     });
 
     it("gets no file when 'parentId' is wrong and no 'page'", async () => {
@@ -794,112 +969,1039 @@ describe('filesController', () => {
     });
   });
 
-  describe('gET /files/:id/data', () => {
-    let mockUser0info = null;
-    let mockUser0Token = null;
-    let mockUser1Token = null;
+  describe('gET /files/search', () => {
+    let mockUserToken = null;
+
+    beforeEach(async () => {
+      await dbClient.db.collection('files').deleteMany({});
+      await dbClient.db.collection('users').deleteMany({});
+
+      let mockUserInfo = null;
+      let mockUser1Info = null;
+      [mockUserInfo, mockUserToken] = await addUser({
+        email: 'tester0@test.com',
+        password: sha1('secret~!'),
+      });
+      [mockUser1Info] = await addUser({
+        email: 'tester1@test.com',
+        password: sha1('secret~!'),
+      });
+      const user0 = mockUserInfo.ops[0]._id;
+      const user1 = mockUser1Info.ops[0]._id;
+
+      const teamInfo = await dbClient.db.collection('files').insertOne({
+        userId: user1,
+        name: 'team',
+        type: 'folder',
+        isPublic: false,
+        parentId: 0,
+        shares: [{ userId: user0, role: 'viewer' }],
+      });
+
+      await dbClient.db.collection('files').insertMany([
+        {
+          userId: user0, name: 'reports', type: 'folder', isPublic: false, parentId: 0,
+        },
+        {
+          userId: user0,
+          name: 'report-2024.txt',
+          type: 'file',
+          isPublic: false,
+          parentId: 0,
+          size: 100,
+          text: 'Quarterly revenue figures',
+        },
+        {
+          userId: user0, name: 'photo.png', type: 'image', isPublic: false, parentId: 0, size: 5000,
+        },
+        {
+          userId: user1, name: 'secret-report.txt', type: 'file', isPublic: false, parentId: 0, size: 10,
+        },
+        {
+          userId: user1, name: 'public-report.txt', type: 'file', isPublic: true, parentId: 0, size: 10,
+        },
+        {
+          userId: user1, name: 'team-report.md', type: 'file', isPublic: false, parentId: teamInfo.ops[0]._id, size: 10,
+        },
+      ]);
+    });
+
+    const search = async (query) => {
+      const res = await request(app).get('/files/search')
+        .query(query)
+        .set('X-Token', mockUserToken);
+      return res;
+    };
+
+    it('fails when user token is invalid', async () => {
+      const res = await request(app).get('/files/search')
+        .query({ q: 'report' })
+        .set('X-Token', `${mockUserToken}!`);
+      expect(res.statusCode).to.equal(401);
+      expect(res.body).to.deep.equal({ error: 'Unauthorized' });
+    });
+
+    it('matches names across own, shared and public files', async () => {
+      const res = await search({ q: 'REPORT' });
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.map((f) => f.name)).to.deep.equal([
+        'public-report.txt', 'report-2024.txt', 'reports', 'team-report.md',
+      ]);
+    });
+
+    it('matches the indexed text content', async () => {
+      const res = await search({ q: 'revenue' });
+      expect(res.body.map((f) => f.name)).to.deep.equal(['report-2024.txt']);
+    });
+
+    it('filters by type and MIME type', async () => {
+      let res = await search({ q: 'report', type: 'folder' });
+      expect(res.body.map((f) => f.name)).to.deep.equal(['reports']);
+
+      res = await search({ mime: 'image/*' });
+      expect(res.body.map((f) => f.name)).to.deep.equal(['photo.png']);
+
+      res = await search({ mime: 'text/markdown' });
+      expect(res.body.map((f) => f.name)).to.deep.equal(['team-report.md']);
+    });
+
+    it('filters by size and date ranges', async () => {
+      let res = await search({ minSize: 1000 });
+      expect(res.body.map((f) => f.name)).to.deep.equal(['photo.png']);
+
+      res = await search({ q: 'report', maxSize: 50, from: new Date(Date.now() - 60000).toISOString() });
+      expect(res.body.map((f) => f.name)).to.deep.equal(['public-report.txt', 'team-report.md']);
+
+      res = await search({ to: '2000-01-01' });
+      expect(res.body.length).to.equal(0);
+    });
+
+    it('fails with an invalid filter', async () => {
+      const res = await search({ mime: 'nonsense' });
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Invalid mime' });
+    });
+  });
 
+  describe('tags and metadata', () => {
+    let mockUserToken = null;
     let mockFolderInfo = null;
-    let mockFileInfo0 = null;
-    let mockFileInfo1 = null;
-    let folderPath = null;
-    let filePath = null;
-    let fileContent = null;
 
     beforeEach(async () => {
       await dbClient.db.collection('files').deleteMany({});
       await dbClient.db.collection('users').deleteMany({});
 
-      // Add two users
-      [mockUser0info, mockUser0Token] = await addUser({
+      let mockUserInfo = null;
+      [mockUserInfo, mockUserToken] = await addUser({
         email: 'tester0@test.com',
         password: sha1('secret~!'),
       });
 
+      mockFolderInfo = await dbClient.db.collection('files').insertOne({
+        userId: mockUserInfo.ops[0]._id,
+        name: 'invoices',
+        type: 'folder',
+        isPublic: false,
+        parentId: 0,
+      });
+    });
+
+    const upload = (name, tags, metadata) => request(app).post('/files')
+      .set('X-Token', mockUserToken)
+      .send({
+        name,
+        type: 'file',
+        data: Buffer.from(name).toString('base64'),
+        parentId: mockFolderInfo.ops[0]._id,
+        tags,
+        metadata,
+      });
+
+    it('stores tags and metadata given at upload time', async () => {
+      let res = await upload('march.pdf', ['finance', ' 2024 ', 'finance'], { client: 'ACME', amount: 120 });
+      expect(res.statusCode).to.equal(201);
+
+      res = await request(app).get(`/files/${res.body.id}`)
+        .set('X-Token', mockUserToken);
+      expect(res.body.tags).to.deep.equal(['finance', '2024']);
+      expect(res.body.metadata).to.deep.equal({ client: 'ACME', amount: '120' });
+    });
+
+    it('accepts tags and metadata as multipart fields', async () => {
+      let res = await request(app).post('/files')
+        .set('X-Token', mockUserToken)
+        .field('tags', 'finance,scan')
+        .field('metadata', JSON.stringify({ client: 'ACME' }))
+        .attach('file', Buffer.from('Hello!'), 'april.pdf');
+      expect(res.statusCode).to.equal(201);
+
+      res = await request(app).get(`/files/${res.body.id}`)
+        .set('X-Token', mockUserToken);
+      expect(res.body.tags).to.deep.equal(['finance', 'scan']);
+      expect(res.body.metadata).to.deep.equal({ client: 'ACME' });
+    });
+
+    it('fails with invalid metadata', async () => {
+      const res = await upload('march.pdf', [], { 'a.b': 'c' });
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Invalid metadata' });
+    });
+
+    it('replaces tags and metadata through PATCH /files/:id', async () => {
+      let res = await upload('march.pdf', ['finance'], { client: 'ACME' });
+
+      res = await request(app).patch(`/files/${res.body.id}`)
+        .set('X-Token', mockUserToken)
+        .send({ tags: ['archived'], metadata: {} });
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.tags).to.deep.equal(['archived']);
+      expect(res.body.metadata).to.deep.equal({});
+    });
+
+    it('filters listings by tag and metadata', async () => {
+      await upload('march.pdf', ['finance', '2024'], { client: 'ACME' });
+      await upload('april.pdf', ['finance'], { client: 'Globex' });
+      await upload('notes.txt', [], {});
+
+      const parentId = mockFolderInfo.ops[0]._id.toString();
+      let res = await request(app).get('/files')
+        .query({ parentId, tag: 'finance' })
+        .set('X-Token', mockUserToken);
+      expect(res.body.map((f) => f.name).sort()).to.deep.equal(['april.pdf', 'march.pdf']);
+
+      res = await request(app).get('/files')
+        .query({ parentId, tag: ['finance', '2024'] })
+        .set('X-Token', mockUserToken);
+      expect(res.body.map((f) => f.name)).to.deep.equal(['march.pdf']);
+
+      res = await request(app).get('/files')
+        .query({ parentId, metadata: { client: 'Globex' } })
+        .set('X-Token', mockUserToken);
+      expect(res.body.map((f) => f.name)).to.deep.equal(['april.pdf']);
+    });
+
+    it('lists the user tags with counts', async () => {
+      await upload('march.pdf', ['finance', '2024'], {});
+      await upload('april.pdf', ['finance'], {});
+
+      const res = await request(app).get('/files/tags')
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(200);
+      expect(res.body).to.deep.equal([{ tag: 'finance', count: 2 }, { tag: '2024', count: 1 }]);
+    });
+  });
+
+  describe('pATCH /files/:id', () => {
+    let mockUserToken = null;
+    let mockUser1Token = null;
+
+    let mockFolderInfo = null;
+    let mockSubfolderInfo = null;
+    let mockFileInfo = null;
+
+    beforeEach(async () => {
+      await dbClient.db.collection('files').deleteMany({});
+      await dbClient.db.collection('users').deleteMany({});
+
+      let mockUserInfo = null;
+      [mockUserInfo, mockUserToken] = await addUser({
+        email: 'tester0@test.com',
+        password: sha1('secret~!'),
+      });
       [, mockUser1Token] = await addUser({
         email: 'tester1@test.com',
         password: sha1('secret~!'),
       });
 
-      // Add one folder owned by user 0
-      const mockFolder = {
-        userId: mockUser0info.ops[0]._id,
-        name: 'Notes',
+      mockFolderInfo = await dbClient.db.collection('files').insertOne({
+        userId: mockUserInfo.ops[0]._id,
+        name: 'projects',
         type: 'folder',
         isPublic: false,
         parentId: '0',
-      };
-      mockFolderInfo = await dbClient.db.collection('files').insertOne(mockFolder);
-
-      // Add one file owned by user 0
-      folderPath = process.env.FOLDER_PATH || '/tmp/files_manager';
-      filePath = `${folderPath}/${uuidv4()}`;
-      fileContent = 'Hello!';
-
-      fs.writeFile(filePath, fileContent, () => {});
+      });
 
-      let mockFile = {
-        userId: mockUser0info.ops[0]._id,
-        name: 'file.txt',
-        type: 'file',
+      mockSubfolderInfo = await dbClient.db.collection('files').insertOne({
+        userId: mockUserInfo.ops[0]._id,
+        name: 'archive',
+        type: 'folder',
         isPublic: false,
         parentId: mockFolderInfo.ops[0]._id,
-        localPath: filePath,
-      };
-      mockFileInfo0 = await dbClient.db.collection('files').insertOne(mockFile);
+      });
 
-      // Add second file with invalid localPath
-      mockFile = {
-        userId: mockUser0info.ops[0]._id,
-        name: 'file.txt',
+      mockFileInfo = await dbClient.db.collection('files').insertOne({
+        userId: mockUserInfo.ops[0]._id,
+        name: 'plan.txt',
         type: 'file',
         isPublic: false,
         parentId: mockFolderInfo.ops[0]._id,
-        localPath: '/notExisting/path',
-      };
-      mockFileInfo1 = await dbClient.db.collection('files').insertOne(mockFile);
-    });
-
-    it('fails when no file is linked to :id', async () => {
-      const res = await request(app).get('/files/5f1e879ec7ba06511e683b22/data');
-      expect(res.statusCode).to.equal(404);
-      expect(res.body).to.deep.equal({ error: 'Not found' });
+      });
     });
 
-    it('fails when file linked to :id is unpublished & user is unauthenticated', async () => {
-      const res = await request(app).get(`/files/${mockFileInfo0.ops[0]._id}/data`)
-        .set('X-Token', `${mockUser0Token}!`);
+    it('fails when the file belongs to another user', async () => {
+      const res = await request(app).patch(`/files/${mockFileInfo.ops[0]._id}`)
+        .set('X-Token', mockUser1Token)
+        .send({ name: 'mine.txt' });
       expect(res.statusCode).to.equal(404);
       expect(res.body).to.deep.equal({ error: 'Not found' });
     });
 
-    it('fails when file linked to :id is unpublished & user authenticated but not owner', async () => {
-      const res = await request(app).get(`/files/${mockFileInfo0.ops[0]._id.toString()}/data`)
-        .set('X-Token', `${mockUser1Token}`);
-      expect(res.statusCode).to.equal(404);
-      expect(res.body).to.deep.equal({ error: 'Not found' });
+    it('renames a file', async () => {
+      const res = await request(app).patch(`/files/${mockFileInfo.ops[0]._id}`)
+        .set('X-Token', mockUserToken)
+        .send({ name: 'roadmap.txt' });
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.name).to.equal('roadmap.txt');
+      expect(res.body.parentId).to.equal(mockFolderInfo.ops[0]._id.toString());
     });
 
-    it('succefully gets unpublished file linked to :id with user authenticated and is owner', async () => {
-      const res = await request(app).get(`/files/${mockFileInfo0.ops[0]._id.toString()}/data`)
-        .set('X-Token', `${mockUser0Token}`);
+    it('moves a file to another folder', async () => {
+      let res = await request(app).patch(`/files/${mockFileInfo.ops[0]._id}`)
+        .set('X-Token', mockUserToken)
+        .send({ parentId: mockSubfolderInfo.ops[0]._id.toString() });
       expect(res.statusCode).to.equal(200);
-      expect(res.text).to.equal(fileContent);
-    });
+      expect(res.body.parentId).to.equal(mockSubfolderInfo.ops[0]._id.toString());
 
-    it('succefully gets published file linked to :id with user authenticated', async () => {
-      await dbClient.db.collection('files').updateOne(
-        {
-          _id: mockFileInfo0.ops[0]._id,
-          userId: mockUser0info.ops[0]._id,
-        },
-        { $set: { isPublic: true } },
-      );
+      res = await request(app).get('/files')
+        .query({ parentId: mockSubfolderInfo.ops[0]._id.toString() })
+        .set('X-Token', mockUserToken);
+      expect(res.body.map((f) => f.name)).to.deep.equal(['plan.txt']);
+    });
 
-      const res = await request(app).get(`/files/${mockFileInfo0.ops[0]._id.toString()}/data`)
-        .set('X-Token', `${mockUser0Token}`);
+    it('moves a folder to the root', async () => {
+      const res = await request(app).patch(`/files/${mockSubfolderInfo.ops[0]._id}`)
+        .set('X-Token', mockUserToken)
+        .send({ parentId: 0 });
       expect(res.statusCode).to.equal(200);
-      expect(res.text).to.equal(fileContent);
+      expect(res.body.parentId).to.equal(0);
+    });
+
+    it('refuses to move a folder inside its own subtree', async () => {
+      let res = await request(app).patch(`/files/${mockFolderInfo.ops[0]._id}`)
+        .set('X-Token', mockUserToken)
+        .send({ parentId: mockSubfolderInfo.ops[0]._id.toString() });
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Cannot move a folder into itself' });
+
+      res = await request(app).patch(`/files/${mockFolderInfo.ops[0]._id}`)
+        .set('X-Token', mockUserToken)
+        .send({ parentId: mockFolderInfo.ops[0]._id.toString() });
+      expect(res.statusCode).to.equal(400);
+    });
+
+    it('refuses a target that is not one of the user folders', async () => {
+      let res = await request(app).patch(`/files/${mockFileInfo.ops[0]._id}`)
+        .set('X-Token', mockUserToken)
+        .send({ parentId: '5f1e881cc7ba06511e683b23' });
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Parent not found' });
+
+      res = await request(app).patch(`/files/${mockSubfolderInfo.ops[0]._id}`)
+        .set('X-Token', mockUserToken)
+        .send({ parentId: mockFileInfo.ops[0]._id.toString() });
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Parent is not a folder' });
+    });
+  });
+
+  describe('paths: /files/:id/path and /files/by-path', () => {
+    let mockUserToken = null;
+    let mockUser1Token = null;
+
+    let mockFolderInfo = null;
+    let mockSubfolderInfo = null;
+    let mockFileInfo = null;
+
+    beforeEach(async () => {
+      await dbClient.db.collection('files').deleteMany({});
+      await dbClient.db.collection('users').deleteMany({});
+
+      let mockUserInfo = null;
+      let mockUser1Info = null;
+      [mockUserInfo, mockUserToken] = await addUser({
+        email: 'tester0@test.com',
+        password: sha1('secret~!'),
+      });
+      [mockUser1Info, mockUser1Token] = await addUser({
+        email: 'tester1@test.com',
+        password: sha1('secret~!'),
+      });
+
+      mockFolderInfo = await dbClient.db.collection('files').insertOne({
+        userId: mockUserInfo.ops[0]._id,
+        name: 'projects',
+        type: 'folder',
+        isPublic: false,
+        parentId: '0',
+      });
+
+      mockSubfolderInfo = await dbClient.db.collection('files').insertOne({
+        userId: mockUserInfo.ops[0]._id,
+        name: '2024',
+        type: 'folder',
+        isPublic: false,
+        parentId: mockFolderInfo.ops[0]._id,
+        shares: [{ userId: mockUser1Info.ops[0]._id, role: 'viewer', createdAt: new Date() }],
+      });
+
+      mockFileInfo = await dbClient.db.collection('files').insertOne({
+        userId: mockUserInfo.ops[0]._id,
+        name: 'report.pdf',
+        type: 'file',
+        isPublic: false,
+        parentId: mockSubfolderInfo.ops[0]._id,
+      });
+    });
+
+    it('returns the breadcrumbs of a file from the root', async () => {
+      const res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/path`)
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(200);
+      expect(res.body).to.deep.equal([
+        { id: mockFolderInfo.ops[0]._id.toString(), name: 'projects', type: 'folder' },
+        { id: mockSubfolderInfo.ops[0]._id.toString(), name: '2024', type: 'folder' },
+        { id: mockFileInfo.ops[0]._id.toString(), name: 'report.pdf', type: 'file' },
+      ]);
+    });
+
+    it('starts the breadcrumbs at the folder shared with the user', async () => {
+      const res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/path`)
+        .set('X-Token', mockUser1Token);
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.map((f) => f.name)).to.deep.equal(['2024', 'report.pdf']);
+    });
+
+    it('fails when the user cannot see the file', async () => {
+      const res = await request(app).get(`/files/${mockFolderInfo.ops[0]._id}/path`)
+        .set('X-Token', mockUser1Token);
+      expect(res.statusCode).to.equal(404);
+      expect(res.body).to.deep.equal({ error: 'Not found' });
+    });
+
+    it('resolves a path to a file', async () => {
+      const res = await request(app).get('/files/by-path')
+        .query({ path: '/projects/2024/report.pdf' })
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.id).to.equal(mockFileInfo.ops[0]._id.toString());
+      expect(res.body.name).to.equal('report.pdf');
+    });
+
+    it('fails when a segment does not exist', async () => {
+      let res = await request(app).get('/files/by-path')
+        .query({ path: '/projects/2023/report.pdf' })
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(404);
+      expect(res.body).to.deep.equal({ error: 'Not found' });
+
+      res = await request(app).get('/files/by-path')
+        .query({ path: '/projects/2024/report.pdf/more' })
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(404);
+    });
+
+    it('only resolves paths from the user\'s own root', async () => {
+      const res = await request(app).get('/files/by-path')
+        .query({ path: '/projects' })
+        .set('X-Token', mockUser1Token);
+      expect(res.statusCode).to.equal(404);
+    });
+
+    it('reports duplicate names as ambiguous', async () => {
+      const duplicate = await dbClient.db.collection('files').insertOne({
+        userId: mockFolderInfo.ops[0].userId,
+        name: '2024',
+        type: 'folder',
+        isPublic: false,
+        parentId: mockFolderInfo.ops[0]._id.toString(),
+      });
+
+      const res = await request(app).get('/files/by-path')
+        .query({ path: '/projects/2024/report.pdf' })
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(409);
+      expect(res.body.error).to.equal('Ambiguous path');
+      expect(res.body.path).to.equal('/projects/2024');
+      expect(res.body.ids).to.have.members([
+        mockSubfolderInfo.ops[0]._id.toString(),
+        duplicate.ops[0]._id.toString(),
+      ]);
+    });
+
+    it('fails without a path', async () => {
+      const res = await request(app).get('/files/by-path')
+        .query({ path: '/' })
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Missing path' });
+    });
+  });
+
+  describe('pOST /files/:id/copy', () => {
+    let mockUserInfo = null;
+    let mockUserToken = null;
+    let mockUser1Token = null;
+
+    let mockFolderInfo = null;
+    let mockUser1FolderInfo = null;
+    let checksum = null;
+
+    beforeEach(async () => {
+      await dbClient.db.collection('files').deleteMany({});
+      await dbClient.db.collection('users').deleteMany({});
+      await dbClient.db.collection('blobs').deleteMany({});
+
+      [mockUserInfo, mockUserToken] = await addUser({
+        email: 'tester0@test.com',
+        password: sha1('secret~!'),
+      });
+      let mockUser1Info = null;
+      [mockUser1Info, mockUser1Token] = await addUser({
+        email: 'tester1@test.com',
+        password: sha1('secret~!'),
+      });
+
+      mockFolderInfo = await dbClient.db.collection('files').insertOne({
+        userId: mockUserInfo.ops[0]._id,
+        name: 'template',
+        type: 'folder',
+        isPublic: false,
+        parentId: '0',
+      });
+      await dbClient.db.collection('files').insertOne({
+        userId: mockUserInfo.ops[0]._id,
+        name: 'assets',
+        type: 'folder',
+        isPublic: false,
+        parentId: mockFolderInfo.ops[0]._id,
+      });
+      mockUser1FolderInfo = await dbClient.db.collection('files').insertOne({
+        userId: mockUser1Info.ops[0]._id,
+        name: 'other',
+        type: 'folder',
+        isPublic: false,
+        parentId: '0',
+      });
+
+      const res = await request(app).post('/files')
+        .set('X-Token', mockUserToken)
+        .send({
+          name: 'README.md',
+          type: 'file',
+          data: Buffer.from('Hello!').toString('base64'),
+          parentId: mockFolderInfo.ops[0]._id.toString(),
+        });
+      const file = await dbClient.db.collection('files').findOne({ _id: ObjectId(res.body.id) });
+      ({ checksum } = file);
+    });
+
+    it('deep-copies a folder and shares the blobs', async () => {
+      const res = await request(app).post(`/files/${mockFolderInfo.ops[0]._id}/copy`)
+        .set('X-Token', mockUserToken)
+        .send({ parentId: 0 });
+      expect(res.statusCode).to.equal(201);
+      expect(res.body.name).to.equal('template');
+      expect(res.body.parentId).to.equal(0);
+      expect(res.body.id).to.not.equal(mockFolderInfo.ops[0]._id.toString());
+
+      const children = await dbClient.db.collection('files')
+        .find({ parentId: ObjectId(res.body.id) })
+        .toArray();
+      expect(children.map((doc) => doc.name).sort()).to.deep.equal(['README.md', 'assets']);
+
+      const blob = await dbClient.db.collection('blobs').findOne({ _id: checksum });
+      expect(blob.refCount).to.equal(2);
+
+      const user = await dbClient.db.collection('users').findOne({ _id: mockUserInfo.ops[0]._id });
+      expect(user.usedBytes).to.equal(12);
+    });
+
+    it('copies a folder into its own subtree', async () => {
+      const res = await request(app).post(`/files/${mockFolderInfo.ops[0]._id}/copy`)
+        .set('X-Token', mockUserToken)
+        .send({ parentId: mockFolderInfo.ops[0]._id.toString() });
+      expect(res.statusCode).to.equal(201);
+      expect(res.body.parentId).to.equal(mockFolderInfo.ops[0]._id.toString());
+
+      const docs = await dbClient.db.collection('files').find({ userId: mockUserInfo.ops[0]._id }).toArray();
+      expect(docs.length).to.equal(6);
+    });
+
+    it('fails when the destination is not one of the user folders', async () => {
+      const res = await request(app).post(`/files/${mockFolderInfo.ops[0]._id}/copy`)
+        .set('X-Token', mockUserToken)
+        .send({ parentId: mockUser1FolderInfo.ops[0]._id.toString() });
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Parent not found' });
+    });
+
+    it('fails when the source is not visible to the user', async () => {
+      const res = await request(app).post(`/files/${mockFolderInfo.ops[0]._id}/copy`)
+        .set('X-Token', mockUser1Token)
+        .send({ parentId: 0 });
+      expect(res.statusCode).to.equal(404);
+      expect(res.body).to.deep.equal({ error: 'Not found' });
+    });
+
+    it('fails with 413 when the copy would exceed the quota', async () => {
+      await dbClient.db.collection('users').updateOne({ _id: mockUserInfo.ops[0]._id }, { $set: { quota: 10 } });
+
+      const res = await request(app).post(`/files/${mockFolderInfo.ops[0]._id}/copy`)
+        .set('X-Token', mockUserToken)
+        .send({ parentId: 0 });
+      expect(res.statusCode).to.equal(413);
+      expect(res.body).to.deep.equal({ error: 'Quota exceeded' });
+    });
+  });
+
+  describe('trash: /files/trash', () => {
+    let mockUserInfo = null;
+    let mockUserToken = null;
+
+    let mockFolderInfo = null;
+    let mockFileInfo = null;
+    let filePath = null;
+
+    beforeEach(async () => {
+      await dbClient.db.collection('files').deleteMany({});
+      await dbClient.db.collection('users').deleteMany({});
+
+      [mockUserInfo, mockUserToken] = await addUser({
+        email: 'tester0@test.com',
+        password: sha1('secret~!'),
+      });
+
+      const mockFolder = {
+        userId: mockUserInfo.ops[0]._id,
+        name: 'pictures',
+        type: 'folder',
+        isPublic: false,
+        parentId: '0',
+      };
+      mockFolderInfo = await dbClient.db.collection('files').insertOne(mockFolder);
+
+      const folderPath = process.env.FOLDER_PATH || '/tmp/files_manager';
+      filePath = `${folderPath}/${uuidv4()}`;
+      fs.mkdirSync(folderPath, { recursive: true });
+      fs.writeFileSync(filePath, 'Hello!');
+      fs.writeFileSync(`${filePath}_100`, 'thumbnail');
+
+      const mockFile = {
+        userId: mockUserInfo.ops[0]._id,
+        name: 'image.png',
+        type: 'image',
+        isPublic: false,
+        parentId: mockFolderInfo.ops[0]._id,
+        localPath: filePath,
+      };
+      mockFileInfo = await dbClient.db.collection('files').insertOne(mockFile);
+    });
+
+    it('moves a folder and its content to the trash', async () => {
+      const res = await request(app).delete(`/files/${mockFolderInfo.ops[0]._id}`)
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(204);
+
+      const child = await dbClient.db.collection('files').findOne({ _id: mockFileInfo.ops[0]._id });
+      expect(child.trashId.toString()).to.equal(mockFolderInfo.ops[0]._id.toString());
+      expect(fs.existsSync(filePath)).to.equal(true);
+
+      const show = await request(app).get(`/files/${mockFileInfo.ops[0]._id}`)
+        .set('X-Token', mockUserToken);
+      expect(show.statusCode).to.equal(404);
+    });
+
+    it('lists only the top of trashed subtrees', async () => {
+      await request(app).delete(`/files/${mockFolderInfo.ops[0]._id}`)
+        .set('X-Token', mockUserToken);
+
+      const res = await request(app).get('/files/trash')
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.length).to.equal(1);
+      expect(res.body[0].id).to.equal(mockFolderInfo.ops[0]._id.toString());
+    });
+
+    it('restores a trashed folder with its content', async () => {
+      await request(app).delete(`/files/${mockFolderInfo.ops[0]._id}`)
+        .set('X-Token', mockUserToken);
+
+      const res = await request(app).post(`/files/${mockFolderInfo.ops[0]._id}/restore`)
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.name).to.equal('pictures');
+
+      const child = await dbClient.db.collection('files').findOne({ _id: mockFileInfo.ops[0]._id });
+      expect(child.deletedAt).to.equal(undefined);
+    });
+
+    it('restores an item to the root when its folder is still in the trash', async () => {
+      await request(app).delete(`/files/${mockFileInfo.ops[0]._id}`)
+        .set('X-Token', mockUserToken);
+      await request(app).delete(`/files/${mockFolderInfo.ops[0]._id}`)
+        .set('X-Token', mockUserToken);
+
+      const res = await request(app).post(`/files/${mockFileInfo.ops[0]._id}/restore`)
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.parentId).to.equal(0);
+    });
+
+    it('fails to restore an item that is not in the trash', async () => {
+      const res = await request(app).post(`/files/${mockFolderInfo.ops[0]._id}/restore`)
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(404);
+      expect(res.body).to.deep.equal({ error: 'Not found' });
+    });
+
+    it('purges a trashed item with its blobs and thumbnails', async () => {
+      await request(app).delete(`/files/${mockFolderInfo.ops[0]._id}`)
+        .set('X-Token', mockUserToken);
+
+      const res = await request(app).delete(`/files/trash/${mockFolderInfo.ops[0]._id}`)
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(204);
+
+      const docs = await dbClient.db.collection('files').find({}).toArray();
+      expect(docs.length).to.equal(0);
+      expect(fs.existsSync(filePath)).to.equal(false);
+      expect(fs.existsSync(`${filePath}_100`)).to.equal(false);
+    });
+  });
+
+  describe('versions: /files/:id/versions', () => {
+    let mockUserInfo = null;
+    let mockUserToken = null;
+    let mockUser1Token = null;
+
+    let mockFileInfo = null;
+
+    beforeEach(async () => {
+      await dbClient.db.collection('files').deleteMany({});
+      await dbClient.db.collection('users').deleteMany({});
+
+      [mockUserInfo, mockUserToken] = await addUser({
+        email: 'tester0@test.com',
+        password: sha1('secret~!'),
+      });
+
+      [, mockUser1Token] = await addUser({
+        email: 'tester1@test.com',
+        password: sha1('secret~!'),
+      });
+
+      const folderPath = process.env.FOLDER_PATH || '/tmp/files_manager';
+      const filePath = `${folderPath}/${uuidv4()}`;
+      fs.mkdirSync(folderPath, { recursive: true });
+      fs.writeFileSync(filePath, 'Hello!');
+
+      const mockFile = {
+        userId: mockUserInfo.ops[0]._id,
+        name: 'notes.txt',
+        type: 'file',
+        isPublic: false,
+        parentId: 0,
+        localPath: filePath,
+      };
+      mockFileInfo = await dbClient.db.collection('files').insertOne(mockFile);
+    });
+
+    it('fails to replace content of a file owned by another user', async () => {
+      const res = await request(app).put(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .set('X-Token', mockUser1Token)
+        .send({ data: Buffer.from('Bye!').toString('base64') });
+      expect(res.statusCode).to.equal(404);
+      expect(res.body).to.deep.equal({ error: 'Not found' });
+    });
+
+    it('stores new content as a new version and keeps the previous one', async () => {
+      const res = await request(app).put(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .set('X-Token', mockUserToken)
+        .send({ data: Buffer.from('Bye!').toString('base64') });
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.version).to.equal(2);
+
+      const versions = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/versions`)
+        .set('X-Token', mockUserToken);
+      expect(versions.statusCode).to.equal(200);
+      expect(versions.body.map((v) => v.version)).to.deep.equal([1, 2]);
+      expect(versions.body[1].current).to.equal(true);
+
+      const latest = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .set('X-Token', mockUserToken);
+      expect(latest.text).to.equal('Bye!');
+
+      const first = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .query({ version: 1 })
+        .set('X-Token', mockUserToken);
+      expect(first.statusCode).to.equal(200);
+      expect(first.text).to.equal('Hello!');
+    });
+
+    it('rolls back to a previous version', async () => {
+      await request(app).put(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .set('X-Token', mockUserToken)
+        .send({ data: Buffer.from('Bye!').toString('base64') });
+
+      const res = await request(app).post(`/files/${mockFileInfo.ops[0]._id}/versions/1/restore`)
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.version).to.equal(3);
+
+      const data = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .set('X-Token', mockUserToken);
+      expect(data.text).to.equal('Hello!');
+    });
+
+    it('fails to roll back to an unknown version', async () => {
+      const res = await request(app).post(`/files/${mockFileInfo.ops[0]._id}/versions/7/restore`)
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(404);
+      expect(res.body).to.deep.equal({ error: 'Version not found' });
+    });
+  });
+
+  describe('deduplicated storage', () => {
+    let mockUserToken = null;
+
+    beforeEach(async () => {
+      await dbClient.db.collection('files').deleteMany({});
+      await dbClient.db.collection('users').deleteMany({});
+      await dbClient.db.collection('blobs').deleteMany({});
+
+      [, mockUserToken] = await addUser({
+        email: 'tester0@test.com',
+        password: sha1('secret~!'),
+      });
+    });
+
+    async function upload(name, content) {
+      const res = await request(app).post('/files')
+        .set('X-Token', mockUserToken)
+        .send({ name, type: 'file', data: Buffer.from(content).toString('base64') });
+      return dbClient.db.collection('files').findOne({ _id: ObjectId(res.body.id) });
+    }
+
+    it('stores identical content once and counts its references', async () => {
+      const doc0 = await upload('a.txt', 'Same bytes');
+      const doc1 = await upload('b.txt', 'Same bytes');
+      expect(doc0.localPath).to.equal(doc1.localPath);
+
+      const blob = await dbClient.db.collection('blobs').findOne({ _id: doc0.checksum });
+      expect(blob.refCount).to.equal(2);
+    });
+
+    it('removes the blob once the last document pointing to it is purged', async () => {
+      const doc0 = await upload('a.txt', 'Same bytes');
+      const doc1 = await upload('b.txt', 'Same bytes');
+
+      await request(app).delete(`/files/${doc0._id}`).set('X-Token', mockUserToken);
+      await request(app).delete(`/files/trash/${doc0._id}`).set('X-Token', mockUserToken);
+      expect(fs.existsSync(doc1.localPath)).to.equal(true);
+
+      await request(app).delete(`/files/${doc1._id}`).set('X-Token', mockUserToken);
+      await request(app).delete(`/files/trash/${doc1._id}`).set('X-Token', mockUserToken);
+      expect(fs.existsSync(doc1.localPath)).to.equal(false);
+      expect(await dbClient.db.collection('blobs').findOne({ _id: doc1.checksum })).to.equal(null);
+    });
+
+    it('keeps a blob referenced by an older version', async () => {
+      const doc = await upload('a.txt', 'First');
+      await request(app).put(`/files/${doc._id}/data`)
+        .set('X-Token', mockUserToken)
+        .send({ data: Buffer.from('Second').toString('base64') });
+
+      expect(fs.existsSync(doc.localPath)).to.equal(true);
+      const blob = await dbClient.db.collection('blobs').findOne({ _id: doc.checksum });
+      expect(blob.refCount).to.equal(1);
+    });
+  });
+
+  describe('storage quota', () => {
+    let mockUserInfo = null;
+    let mockUserToken = null;
+
+    beforeEach(async () => {
+      await dbClient.db.collection('files').deleteMany({});
+      await dbClient.db.collection('users').deleteMany({});
+
+      [mockUserInfo, mockUserToken] = await addUser({
+        email: 'tester0@test.com',
+        password: sha1('secret~!'),
+        quota: 10,
+      });
+    });
+
+    it('counts uploaded bytes in the user usage', async () => {
+      const res = await request(app).post('/files')
+        .set('X-Token', mockUserToken)
+        .send({ name: 'a.txt', type: 'file', data: Buffer.from('Hello!').toString('base64') });
+      expect(res.statusCode).to.equal(201);
+
+      const user = await dbClient.db.collection('users').findOne({ _id: mockUserInfo.ops[0]._id });
+      expect(user.usedBytes).to.equal(6);
+    });
+
+    it('fails with 413 when the upload would exceed the quota', async () => {
+      await request(app).post('/files')
+        .set('X-Token', mockUserToken)
+        .send({ name: 'a.txt', type: 'file', data: Buffer.from('Hello!').toString('base64') });
+
+      const res = await request(app).post('/files')
+        .set('X-Token', mockUserToken)
+        .send({ name: 'b.txt', type: 'file', data: Buffer.from('Hello!').toString('base64') });
+      expect(res.statusCode).to.equal(413);
+      expect(res.body).to.deep.equal({ error: 'Quota exceeded' });
+
+      const docs = await dbClient.db.collection('files').find({ name: 'b.txt' }).toArray();
+      expect(docs.length).to.equal(0);
+    });
+
+    it('fails with 413 before reading a streamed upload that is too large', async () => {
+      const res = await request(app).post('/files')
+        .set('X-Token', mockUserToken)
+        .set('Content-Type', 'application/octet-stream')
+        .query({ name: 'raw.bin', type: 'file' })
+        .send(Buffer.from('Hello world!'));
+      expect(res.statusCode).to.equal(413);
+      expect(res.body).to.deep.equal({ error: 'Quota exceeded' });
+    });
+
+    it('fails with 413 once a chunked upload goes over the quota', async () => {
+      // Without Content-Length the size is only known while the body is read
+      const upload = request(app).post('/files')
+        .set('X-Token', mockUserToken)
+        .set('Content-Type', 'application/octet-stream')
+        .query({ name: 'raw.bin', type: 'file' });
+      upload.write(Buffer.from('Hello '));
+      upload.write(Buffer.from('world!'));
+      const res = await upload;
+      expect(res.statusCode).to.equal(413);
+      expect(res.body).to.deep.equal({ error: 'Quota exceeded' });
+
+      const docs = await dbClient.db.collection('files').find({ name: 'raw.bin' }).toArray();
+      expect(docs.length).to.equal(0);
+    });
+
+    it('gives the bytes back once the file is purged', async () => {
+      const upload = await request(app).post('/files')
+        .set('X-Token', mockUserToken)
+        .send({ name: 'a.txt', type: 'file', data: Buffer.from('Hello!').toString('base64') });
+
+      await request(app).delete(`/files/${upload.body.id}`).set('X-Token', mockUserToken);
+      await request(app).delete(`/files/trash/${upload.body.id}`).set('X-Token', mockUserToken);
+
+      const user = await dbClient.db.collection('users').findOne({ _id: mockUserInfo.ops[0]._id });
+      expect(user.usedBytes).to.equal(0);
+    });
+  });
+
+  describe('gET /files/:id/data', () => {
+    let mockUser0info = null;
+    let mockUser0Token = null;
+    let mockUser1Token = null;
+
+    let mockFolderInfo = null;
+    let mockFileInfo0 = null;
+    let mockFileInfo1 = null;
+    let folderPath = null;
+    let filePath = null;
+    let fileContent = null;
+
+    beforeEach(async () => {
+      await dbClient.db.collection('files').deleteMany({});
+      await dbClient.db.collection('users').deleteMany({});
+
+      // Add two users
+      [mockUser0info, mockUser0Token] = await addUser({
+        email: 'tester0@test.com',
+        password: sha1('secret~!'),
+      });
+
+      [, mockUser1Token] = await addUser({
+        email: 'tester1@test.com',
+        password: sha1('secret~!'),
+      });
+
+      // Add one folder owned by user 0
+      const mockFolder = {
+        userId: mockUser0info.ops[0]._id,
+        name: 'Notes',
+        type: 'folder',
+        isPublic: false,
+        parentId: '0',
+      };
+      mockFolderInfo = await dbClient.db.collection('files').insertOne(mockFolder);
+
+      // Add one file owned by user 0
+      folderPath = process.env.FOLDER_PATH || '/tmp/files_manager';
+      filePath = `${folderPath}/${uuidv4()}`;
+      fileContent = 'Hello!';
+
+      fs.writeFile(filePath, fileContent, () => {});
+
+      let mockFile = {
+        userId: mockUser0info.ops[0]._id,
+        name: 'file.txt',
+        type: 'file',
+        isPublic: false,
+        parentId: mockFolderInfo.ops[0]._id,
+        localPath: filePath,
+      };
+      mockFileInfo0 = await dbClient.db.collection('files').insertOne(mockFile);
+
+      // Add second file with invalid localPath
+      mockFile = {
+        userId: mockUser0info.ops[0]._id,
+        name: 'file.txt',
+        type: 'file',
+        isPublic: false,
+        parentId: mockFolderInfo.ops[0]._id,
+        localPath: '/notExisting/path',
+      };
+      mockFileInfo1 = await dbClient.db.collection('files').insertOne(mockFile);
+    });
+
+    it('fails when no file is linked to :id', async () => {
+      const res = await request(app).get('/files/5f1e879ec7ba06511e683b22/data');
+      expect(res.statusCode).to.equal(404);
+      expect(res.body).to.deep.equal({ error: 'Not found' });
+    });
+
+    it('fails when file linked to :id is unpublished & user is unauthenticated', async () => {
+      const res = await request(app).get(`/files/${mockFileInfo0.ops[0]._id}/data`)
+        .set('X-Token', `${mockUser0Token}!`);
+      expect(res.statusCode).to.equal(404);
+      expect(res.body).to.deep.equal({ error: 'Not found' });
+    });
+
+    it('fails when file linked to :id is unpublished & user authenticated but not owner', async () => {
+      const res = await request(app).get(`/files/${mockFileInfo0.ops[0]._id.toString()}/data`)
+        .set('X-Token', `${mockUser1Token}`);
+      expect(res.statusCode).to.equal(404);
+      expect(res.body).to.deep.equal({ error: 'Not found' });
+    });
+
+    it('succefully gets unpublished file linked to :id with user authenticated and is owner', async () => {
+      const res = await request(app).get(`/files/${mockFileInfo0.ops[0]._id.toString()}/data`)
+        .set('X-Token', `${mockUser0Token}`);
+      expect(res.statusCode).to.equal(200);
+      expect(res.text).to.equal(fileContent);
+    });
+
+    it('succefully gets published file linked to :id with user authenticated', async () => {
+      await dbClient.db.collection('files').updateOne(
+        {
+          _id: mockFileInfo0.ops[0]._id,
+          userId: mockUser0info.ops[0]._id,
+        },
+        { $set: { isPublic: true } },
+      );
+
+      const res = await request(app).get(`/files/${mockFileInfo0.ops[0]._id.toString()}/data`)
+        .set('X-Token', `${mockUser0Token}`);
+      expect(res.statusCode).to.equal(200);
+      expect(res.text).to.equal(fileContent);
     });
 
     it('succefully gets published file linked to :id with user unauthenticated', async () => {
@@ -917,11 +2019,59 @@ describe('filesController', () => {
       expect(res.text).to.equal(fileContent);
     });
 
-    it('fails when file linked to :id is a folder', async () => {
+    it('streams a ZIP when file linked to :id is a folder', async () => {
       const res = await request(app).get(`/files/${mockFolderInfo.ops[0]._id.toString()}/data`)
-        .set('X-Token', `${mockUser0Token}`);
-      expect(res.statusCode).to.equal(400);
-      expect(res.body).to.deep.equal({ error: "A folder doesn't have content" });
+        .set('X-Token', `${mockUser0Token}`)
+        .buffer(true)
+        .parse(binaryParser);
+      expect(res.statusCode).to.equal(200);
+      expect(res.header['content-type']).to.equal('application/zip');
+      expect(res.body.slice(0, 2).toString()).to.equal('PK');
+      expect(res.body.includes('Notes/file.txt')).to.equal(true);
+    });
+
+    it('names the ZIP after the folder', async () => {
+      await dbClient.db.collection('files').updateOne({ _id: mockFolderInfo.ops[0]._id }, { $set: { name: 'Été notes' } });
+
+      const res = await request(app).get(`/files/${mockFolderInfo.ops[0]._id.toString()}/data`)
+        .set('X-Token', `${mockUser0Token}`)
+        .buffer(true)
+        .parse(binaryParser);
+      expect(res.statusCode).to.equal(200);
+      expect(res.header['content-disposition']).to.equal(
+        'attachment; filename="_t_ notes.zip"; filename*=UTF-8\'\'%C3%89t%C3%A9%20notes.zip',
+      );
+    });
+
+    it('leaves the entries the user cannot see out of the ZIP', async () => {
+      await dbClient.db.collection('files').updateOne({ _id: mockFolderInfo.ops[0]._id }, { $set: { isPublic: true } });
+      await dbClient.db.collection('files').insertOne({
+        userId: mockUser0info.ops[0]._id,
+        name: 'public.txt',
+        type: 'file',
+        isPublic: true,
+        parentId: mockFolderInfo.ops[0]._id,
+        localPath: filePath,
+      });
+
+      const res = await request(app).get(`/files/${mockFolderInfo.ops[0]._id.toString()}/data`)
+        .set('X-Token', `${mockUser1Token}`)
+        .buffer(true)
+        .parse(binaryParser);
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.includes('Notes/public.txt')).to.equal(true);
+      expect(res.body.includes('Notes/file.txt')).to.equal(false);
+    });
+
+    it('streams a ZIP of a single file with format=zip', async () => {
+      const res = await request(app).get(`/files/${mockFileInfo0.ops[0]._id.toString()}/data`)
+        .query({ format: 'zip' })
+        .set('X-Token', `${mockUser0Token}`)
+        .buffer(true)
+        .parse(binaryParser);
+      expect(res.statusCode).to.equal(200);
+      expect(res.header['content-type']).to.equal('application/zip');
+      expect(res.body.includes('file.txt')).to.equal(true);
     });
 
     it('fails when file linked to :id is a not present locally', async () => {
@@ -930,5 +2080,70 @@ describe('filesController', () => {
       expect(res.statusCode).to.equal(404);
       expect(res.body).to.deep.equal({ error: 'Not found' });
     });
+
+    it('returns validators and the content length', async () => {
+      const res = await request(app).get(`/files/${mockFileInfo0.ops[0]._id.toString()}/data`)
+        .set('X-Token', `${mockUser0Token}`);
+      expect(res.statusCode).to.equal(200);
+      expect(res.header['accept-ranges']).to.equal('bytes');
+      expect(res.header['content-length']).to.equal(`${fileContent.length}`);
+      expect(res.header.etag).to.not.equal(undefined);
+      expect(res.header['last-modified']).to.not.equal(undefined);
+    });
+
+    it('returns 304 when the ETag still matches', async () => {
+      const first = await request(app).get(`/files/${mockFileInfo0.ops[0]._id.toString()}/data`)
+        .set('X-Token', `${mockUser0Token}`);
+
+      const res = await request(app).get(`/files/${mockFileInfo0.ops[0]._id.toString()}/data`)
+        .set('X-Token', `${mockUser0Token}`)
+        .set('If-None-Match', first.header.etag);
+      expect(res.statusCode).to.equal(304);
+    });
+
+    it('returns 304 when not modified since the given date', async () => {
+      const first = await request(app).get(`/files/${mockFileInfo0.ops[0]._id.toString()}/data`)
+        .set('X-Token', `${mockUser0Token}`);
+
+      const res = await request(app).get(`/files/${mockFileInfo0.ops[0]._id.toString()}/data`)
+        .set('X-Token', `${mockUser0Token}`)
+        .set('If-Modified-Since', first.header['last-modified']);
+      expect(res.statusCode).to.equal(304);
+    });
+
+    it('returns a single byte range', async () => {
+      const res = await request(app).get(`/files/${mockFileInfo0.ops[0]._id.toString()}/data`)
+        .set('X-Token', `${mockUser0Token}`)
+        .set('Range', 'bytes=1-3');
+      expect(res.statusCode).to.equal(206);
+      expect(res.text).to.equal('ell');
+      expect(res.header['content-range']).to.equal(`bytes 1-3/${fileContent.length}`);
+      expect(res.header['content-length']).to.equal('3');
+    });
+
+    it('returns several byte ranges as multipart/byteranges', async () => {
+      const res = await request(app).get(`/files/${mockFileInfo0.ops[0]._id.toString()}/data`)
+        .set('X-Token', `${mockUser0Token}`)
+        .set('Range', 'bytes=0-0,-1')
+        .buffer(true)
+        .parse((stream, callback) => {
+          let body = '';
+          stream.on('data', (chunk) => { body += chunk; });
+          stream.on('end', () => callback(null, body));
+        });
+      expect(res.statusCode).to.equal(206);
+      expect(res.header['content-type']).to.match(/^multipart\/byteranges; boundary=/);
+      expect(res.body).to.include('Content-Range: bytes 0-0/6');
+      expect(res.body).to.include('Content-Range: bytes 5-5/6');
+      expect(Buffer.byteLength(res.body)).to.equal(Number(res.header['content-length']));
+    });
+
+    it('fails with 416 when the range is not satisfiable', async () => {
+      const res = await request(app).get(`/files/${mockFileInfo0.ops[0]._id.toString()}/data`)
+        .set('X-Token', `${mockUser0Token}`)
+        .set('Range', 'bytes=100-200');
+      expect(res.statusCode).to.equal(416);
+      expect(res.header['content-range']).to.equal(`bytes */${fileContent.length}`);
+    });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,198 @@
+import sha1 from 'sha1';
+import { expect } from 'chai';
+import request from 'supertest';
+import app from '../../server';
+import dbClient from '../../utils/db';
+import { addUser } from '../helpers';
+
+describe('keysController', () => {
+  let mockUserToken = null;
+
+  let mockFolderInfo = null;
+  let mockInnerInfo = null;
+  let mockOuterInfo = null;
+
+  const createKey = async (body) => {
+    const res = await request(app).post('/users/me/keys')
+      .set('X-Token', mockUserToken)
+      .send(body);
+    return res.body;
+  };
+
+  beforeEach(async () => {
+    await dbClient.db.collection('files').deleteMany({});
+    await dbClient.db.collection('users').deleteMany({});
+    await dbClient.db.collection('keys').deleteMany({});
+
+    let mockUserInfo = null;
+    [mockUserInfo, mockUserToken] = await addUser({
+      email: 'tester0@test.com',
+      password: sha1('secret~!'),
+    });
+
+    mockFolderInfo = await dbClient.db.collection('files').insertOne({
+      userId: mockUserInfo.ops[0]._id,
+      name: 'ci',
+      type: 'folder',
+      isPublic: false,
+      parentId: 0,
+    });
+
+    mockInnerInfo = await dbClient.db.collection('files').insertOne({
+      userId: mockUserInfo.ops[0]._id,
+      name: 'build.log',
+      type: 'file',
+      isPublic: false,
+      parentId: mockFolderInfo.ops[0]._id,
+    });
+
+    mockOuterInfo = await dbClient.db.collection('files').insertOne({
+      userId: mockUserInfo.ops[0]._id,
+      name: 'private.txt',
+      type: 'file',
+      isPublic: false,
+      parentId: 0,
+    });
+  });
+
+  after(async () => {
+    await dbClient.db.collection('files').deleteMany({});
+    await dbClient.db.collection('users').deleteMany({});
+    await dbClient.db.collection('keys').deleteMany({});
+  });
+
+  it('creates a key and only shows it once', async () => {
+    const res = await request(app).post('/users/me/keys')
+      .set('X-Token', mockUserToken)
+      .send({ name: 'ci', scopes: ['read'], expiresIn: 3600 });
+    expect(res.statusCode).to.equal(201);
+    expect(res.body.key).to.match(/^fmk_/);
+    expect(res.body.scopes).to.deep.equal(['read']);
+    expect(res.body.expiresAt).to.be.a('string');
+
+    const list = await request(app).get('/users/me/keys')
+      .set('X-Token', mockUserToken);
+    expect(list.statusCode).to.equal(200);
+    expect(list.body.map((key) => key.name)).to.deep.equal(['ci']);
+    expect(list.body[0]).to.not.have.property('key');
+    expect(list.body[0]).to.not.have.property('hash');
+  });
+
+  it('fails with invalid scopes', async () => {
+    const res = await request(app).post('/users/me/keys')
+      .set('X-Token', mockUserToken)
+      .send({ name: 'ci', scopes: ['admin'] });
+    expect(res.statusCode).to.equal(400);
+    expect(res.body).to.deep.equal({ error: 'Invalid scopes' });
+  });
+
+  it('authenticates read-only keys for reads only', async () => {
+    const { key } = await createKey({ name: 'ci', scopes: ['read'] });
+
+    let res = await request(app).get('/users/me').set('X-Token', key);
+    expect(res.statusCode).to.equal(200);
+    expect(res.body.email).to.equal('tester0@test.com');
+
+    res = await request(app).get(`/files/${mockOuterInfo.ops[0]._id}`).set('X-Token', key);
+    expect(res.statusCode).to.equal(200);
+
+    res = await request(app).post('/files').set('X-Token', key)
+      .send({ name: 'new', type: 'folder' });
+    expect(res.statusCode).to.equal(401);
+  });
+
+  it('authenticates upload-only keys for uploads only', async () => {
+    const { key } = await createKey({ name: 'ci', scopes: 'upload' });
+
+    let res = await request(app).post('/files').set('X-Token', key)
+      .send({ name: 'new', type: 'folder' });
+    expect(res.statusCode).to.equal(201);
+
+    res = await request(app).get(`/files/${mockOuterInfo.ops[0]._id}`).set('X-Token', key);
+    expect(res.statusCode).to.equal(401);
+  });
+
+  it('limits keys to a folder subtree', async () => {
+    const { key } = await createKey({
+      name: 'ci', scopes: ['read', 'upload'], folderId: mockFolderInfo.ops[0]._id.toString(),
+    });
+
+    let res = await request(app).get(`/files/${mockInnerInfo.ops[0]._id}`).set('X-Token', key);
+    expect(res.statusCode).to.equal(200);
+
+    res = await request(app).get('/files').query({ parentId: mockFolderInfo.ops[0]._id.toString() })
+      .set('X-Token', key);
+    expect(res.statusCode).to.equal(200);
+
+    res = await request(app).post('/files').set('X-Token', key)
+      .send({ name: 'logs', type: 'folder', parentId: mockFolderInfo.ops[0]._id.toString() });
+    expect(res.statusCode).to.equal(201);
+
+    res = await request(app).get(`/files/${mockOuterInfo.ops[0]._id}`).set('X-Token', key);
+    expect(res.statusCode).to.equal(401);
+
+    res = await request(app).get('/files').set('X-Token', key);
+    expect(res.statusCode).to.equal(401);
+
+    res = await request(app).post('/files').set('X-Token', key)
+      .send({ name: 'logs', type: 'folder' });
+    expect(res.statusCode).to.equal(401);
+  });
+
+  it('checks the folder of streamed uploads once their fields are read', async () => {
+    const { key } = await createKey({
+      name: 'ci', scopes: ['upload'], folderId: mockFolderInfo.ops[0]._id.toString(),
+    });
+
+    let res = await request(app).post('/files').set('X-Token', key)
+      .field('type', 'file')
+      .field('parentId', mockFolderInfo.ops[0]._id.toString())
+      .attach('file', Buffer.from('Hello!'), 'hello.txt');
+    expect(res.statusCode).to.equal(201);
+
+    res = await request(app).post('/files').set('X-Token', key)
+      .set('Content-Type', 'application/octet-stream')
+      .query({ name: 'raw.bin', type: 'file', parentId: mockFolderInfo.ops[0]._id.toString() })
+      .send(Buffer.from('Hello!'));
+    expect(res.statusCode).to.equal(201);
+
+    res = await request(app).post('/files').set('X-Token', key)
+      .field('type', 'file')
+      .attach('file', Buffer.from('Hello!'), 'outside.txt');
+    expect(res.statusCode).to.equal(401);
+
+    res = await request(app).post('/files').set('X-Token', key)
+      .set('Content-Type', 'application/octet-stream')
+      .query({ name: 'outside.bin', type: 'file', parentId: mockOuterInfo.ops[0]._id.toString() })
+      .send(Buffer.from('Hello!'));
+    expect(res.statusCode).to.equal(401);
+
+    const outside = await dbClient.db.collection('files')
+      .countDocuments({ name: { $in: ['outside.txt', 'outside.bin'] } });
+    expect(outside).to.equal(0);
+  });
+
+  it('refuses expired and revoked keys', async () => {
+    const expired = await createKey({ name: 'old', scopes: ['read'], expiresIn: 60 });
+    await dbClient.db.collection('keys').updateOne(
+      { name: 'old' }, { $set: { expiresAt: new Date(Date.now() - 1000) } },
+    );
+    let res = await request(app).get('/users/me').set('X-Token', expired.key);
+    expect(res.statusCode).to.equal(401);
+
+    const revoked = await createKey({ name: 'ci', scopes: ['read'] });
+    res = await request(app).delete(`/users/me/keys/${revoked.id}`)
+      .set('X-Token', mockUserToken);
+    expect(res.statusCode).to.equal(204);
+
+    res = await request(app).get('/users/me').set('X-Token', revoked.key);
+    expect(res.statusCode).to.equal(401);
+  });
+
+  it('does not let keys manage keys', async () => {
+    const { key } = await createKey({ name: 'ci', scopes: ['read', 'write'] });
+
+    const res = await request(app).get('/users/me/keys').set('X-Token', key);
+    expect(res.statusCode).to.equal(401);
+  });
+});
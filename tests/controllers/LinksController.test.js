@@ -0,0 +1,216 @@
+import sha1 from 'sha1';
+import { expect } from 'chai';
+import request from 'supertest';
+import { v4 as uuidv4 } from 'uuid';
+import app from '../../server';
+import dbClient from '../../utils/db';
+import { addUser } from '../helpers';
+
+const fs = require('fs');
+
+describe('linksController', () => {
+  let mockUserInfo = null;
+  let mockUserToken = null;
+  let mockUser1Token = null;
+
+  let mockFileInfo = null;
+  let filePath = null;
+
+  beforeEach(async () => {
+    await dbClient.db.collection('files').deleteMany({});
+    await dbClient.db.collection('users').deleteMany({});
+    await dbClient.db.collection('links').deleteMany({});
+
+    [mockUserInfo, mockUserToken] = await addUser({
+      email: 'tester0@test.com',
+      password: sha1('secret~!'),
+    });
+
+    [, mockUser1Token] = await addUser({
+      email: 'tester1@test.com',
+      password: sha1('secret~!'),
+    });
+
+    const folderPath = process.env.FOLDER_PATH || '/tmp/files_manager';
+    filePath = `${folderPath}/${uuidv4()}`;
+    fs.mkdirSync(folderPath, { recursive: true });
+    fs.writeFileSync(filePath, 'Hello!');
+    fs.writeFileSync(`${filePath}_100`, 'small');
+
+    const mockFile = {
+      userId: mockUserInfo.ops[0]._id,
+      name: 'private.txt',
+      type: 'file',
+      isPublic: false,
+      parentId: 0,
+      localPath: filePath,
+    };
+    mockFileInfo = await dbClient.db.collection('files').insertOne(mockFile);
+  });
+
+  after(async () => {
+    await dbClient.db.collection('files').deleteMany({});
+    await dbClient.db.collection('users').deleteMany({});
+    await dbClient.db.collection('links').deleteMany({});
+  });
+
+  async function createLink(body = {}) {
+    const res = await request(app).post(`/files/${mockFileInfo.ops[0]._id}/links`)
+      .set('X-Token', mockUserToken)
+      .send(body);
+    return res.body;
+  }
+
+  describe('pOST /files/:id/links', () => {
+    it('fails when user token is invalid', async () => {
+      const res = await request(app).post(`/files/${mockFileInfo.ops[0]._id}/links`)
+        .set('X-Token', `${mockUserToken}!`);
+      expect(res.statusCode).to.equal(401);
+      expect(res.body).to.deep.equal({ error: 'Unauthorized' });
+    });
+
+    it('fails when the file belongs to another user', async () => {
+      const res = await request(app).post(`/files/${mockFileInfo.ops[0]._id}/links`)
+        .set('X-Token', mockUser1Token);
+      expect(res.statusCode).to.equal(404);
+      expect(res.body).to.deep.equal({ error: 'Not found' });
+    });
+
+    it('fails with an unknown thumbnail size', async () => {
+      const res = await request(app).post(`/files/${mockFileInfo.ops[0]._id}/links`)
+        .set('X-Token', mockUserToken)
+        .send({ sizes: [42] });
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Invalid sizes' });
+    });
+
+    it('creates a link', async () => {
+      const res = await request(app).post(`/files/${mockFileInfo.ops[0]._id}/links`)
+        .set('X-Token', mockUserToken)
+        .send({ expiresIn: 60, maxDownloads: 3 });
+      expect(res.statusCode).to.equal(201);
+      expect(res.body.token.length).to.be.greaterThan(0);
+      expect(res.body.maxDownloads).to.equal(3);
+      expect(res.body.hasPassword).to.equal(false);
+
+      const list = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/links`)
+        .set('X-Token', mockUserToken);
+      expect(list.body.map((link) => link.id)).to.deep.equal([res.body.id]);
+      expect(list.body[0]).to.not.have.property('token');
+      expect(list.body[0]).to.not.have.property('hash');
+    });
+  });
+
+  describe('gET /files/:id/data?token=', () => {
+    it('downloads a private file without X-Token', async () => {
+      const link = await createLink();
+
+      const res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .query({ token: link.token });
+      expect(res.statusCode).to.equal(200);
+      expect(res.text).to.equal('Hello!');
+    });
+
+    it('fails with a tampered token', async () => {
+      const link = await createLink();
+
+      const res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .query({ token: `${link.token}x` });
+      expect(res.statusCode).to.equal(404);
+      expect(res.body).to.deep.equal({ error: 'Not found' });
+    });
+
+    it('fails once the link expired', async () => {
+      const link = await createLink({ expiresIn: 1 });
+      await new Promise((resolve) => setTimeout(resolve, 1100));
+
+      const res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .query({ token: link.token });
+      expect(res.statusCode).to.equal(410);
+      expect(res.body).to.deep.equal({ error: 'Link expired' });
+    });
+
+    it('requires the password when the link has one', async () => {
+      const link = await createLink({ password: 'open sesame' });
+
+      let res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .query({ token: link.token });
+      expect(res.statusCode).to.equal(401);
+      expect(res.body).to.deep.equal({ error: 'Invalid password' });
+
+      res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .query({ token: link.token })
+        .set('X-Link-Password', 'open sesame');
+      expect(res.statusCode).to.equal(200);
+    });
+
+    it('stops serving once the download limit is reached', async () => {
+      const link = await createLink({ maxDownloads: 1 });
+
+      let res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .query({ token: link.token });
+      expect(res.statusCode).to.equal(200);
+
+      res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .query({ token: link.token });
+      expect(res.statusCode).to.equal(410);
+      expect(res.body).to.deep.equal({ error: 'Download limit reached' });
+    });
+
+    it('counts ranges from the first byte as downloads', async () => {
+      const link = await createLink({ maxDownloads: 1 });
+
+      let res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .query({ token: link.token });
+      expect(res.statusCode).to.equal(200);
+
+      res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .query({ token: link.token })
+        .set('Range', 'bytes=0-');
+      expect(res.statusCode).to.equal(410);
+      expect(res.body).to.deep.equal({ error: 'Download limit reached' });
+
+      res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .query({ token: link.token })
+        .set('Range', 'bytes=3-');
+      expect(res.statusCode).to.equal(206);
+      expect(res.text).to.equal('lo!');
+    });
+
+    it('only serves the thumbnail sizes included in the link', async () => {
+      const link = await createLink({ sizes: [100] });
+
+      let res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .query({ token: link.token, size: 100 });
+      expect(res.statusCode).to.equal(200);
+      expect(res.text).to.equal('small');
+
+      res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .query({ token: link.token, size: 500 });
+      expect(res.statusCode).to.equal(404);
+    });
+  });
+
+  describe('gET and dELETE /files/:id/links', () => {
+    it('lists and revokes the active links', async () => {
+      const link = await createLink();
+
+      let res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/links`)
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.map((l) => l.id)).to.deep.equal([link.id]);
+
+      res = await request(app).delete(`/files/${mockFileInfo.ops[0]._id}/links/${link.id}`)
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(204);
+
+      res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/links`)
+        .set('X-Token', mockUserToken);
+      expect(res.body.length).to.equal(0);
+
+      res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .query({ token: link.token });
+      expect(res.statusCode).to.equal(404);
+    });
+  });
+});
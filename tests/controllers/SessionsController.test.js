@@ -0,0 +1,129 @@
+import sha1 from 'sha1';
+import { expect } from 'chai';
+import request from 'supertest';
+import app from '../../server';
+import dbClient from '../../utils/db';
+import redisClient from '../../utils/redis';
+
+const basicAuth = `Basic ${Buffer.from('tester0@test.com:secret~!', 'binary').toString('base64')}`;
+
+async function connect(userAgent) {
+  const res = await request(app).get('/connect')
+    .set('Authorization', basicAuth)
+    .set('User-Agent', userAgent);
+  return res.body;
+}
+
+describe('sessionsController', () => {
+  beforeEach(async () => {
+    await dbClient.db.collection('users').deleteMany({});
+    await dbClient.db.collection('users').insertOne({
+      email: 'tester0@test.com',
+      password: sha1('secret~!'),
+    });
+  });
+
+  after(async () => {
+    await dbClient.db.collection('users').deleteMany({});
+  });
+
+  it('returns access and refresh tokens on connect', async () => {
+    const tokens = await connect('laptop');
+    expect(tokens.token).to.be.a('string');
+    expect(tokens.refreshToken).to.be.a('string');
+    expect(tokens.expiresIn).to.be.greaterThan(0);
+  });
+
+  it('lists the sessions of the user', async () => {
+    await connect('phone');
+    const { token } = await connect('laptop');
+
+    const res = await request(app).get('/users/me/sessions')
+      .set('X-Token', token);
+    expect(res.statusCode).to.equal(200);
+
+    const mine = res.body.filter((session) => ['phone', 'laptop'].includes(session.userAgent));
+    expect(mine.map((session) => session.userAgent)).to.deep.equal(['laptop', 'phone']);
+    expect(mine[0].current).to.equal(true);
+    expect(mine[0].createdAt).to.be.a('string');
+    expect(mine[0].lastUsedAt).to.be.a('string');
+    expect(mine[0]).to.have.property('ip');
+    expect(mine[0]).to.not.have.property('token');
+  });
+
+  it('revokes one session', async () => {
+    const phone = await connect('phone');
+    const { token } = await connect('laptop');
+    const sessionId = phone.token.split('.')[0];
+
+    const res = await request(app).delete(`/users/me/sessions/${sessionId}`)
+      .set('X-Token', token);
+    expect(res.statusCode).to.equal(204);
+    expect(await redisClient.get(`auth_${phone.token}`)).to.equal(null);
+    expect(await redisClient.get(`auth_${token}`)).to.not.equal(null);
+  });
+
+  it('revokes the other sessions', async () => {
+    const phone = await connect('phone');
+    const { token } = await connect('laptop');
+
+    let res = await request(app).delete('/users/me/sessions')
+      .query({ others: 'true' })
+      .set('X-Token', token);
+    expect(res.statusCode).to.equal(204);
+    expect(await redisClient.get(`auth_${phone.token}`)).to.equal(null);
+
+    res = await request(app).delete('/users/me/sessions')
+      .set('X-Token', token);
+    expect(res.statusCode).to.equal(204);
+    expect(await redisClient.get(`auth_${token}`)).to.equal(null);
+  });
+
+  it('trades a refresh token for new tokens', async () => {
+    const first = await connect('laptop');
+
+    const res = await request(app).post('/connect/refresh')
+      .send({ refreshToken: first.refreshToken });
+    expect(res.statusCode).to.equal(200);
+    expect(res.body.token).to.not.equal(first.token);
+    expect(res.body.token.split('.')[0]).to.equal(first.token.split('.')[0]);
+
+    expect(await redisClient.get(`auth_${first.token}`)).to.equal(null);
+    expect(await redisClient.get(`auth_${res.body.token}`)).to.not.equal(null);
+  });
+
+  it('keeps refreshing while requests use the session', async () => {
+    const first = await connect('laptop');
+
+    // Requests racing the refresh must not bring back the replaced tokens
+    const [, refreshed] = await Promise.all([
+      request(app).get('/users/me').set('X-Token', first.token),
+      request(app).post('/connect/refresh').send({ refreshToken: first.refreshToken }),
+      request(app).get('/users/me').set('X-Token', first.token),
+    ]);
+    expect(refreshed.statusCode).to.equal(200);
+
+    const res = await request(app).post('/connect/refresh')
+      .send({ refreshToken: refreshed.body.refreshToken });
+    expect(res.statusCode).to.equal(200);
+  });
+
+  it('ends the session when a used refresh token is replayed', async () => {
+    const first = await connect('laptop');
+
+    const { body: second } = await request(app).post('/connect/refresh')
+      .send({ refreshToken: first.refreshToken });
+
+    const res = await request(app).post('/connect/refresh')
+      .send({ refreshToken: first.refreshToken });
+    expect(res.statusCode).to.equal(401);
+    expect(res.body).to.deep.equal({ error: 'Unauthorized' });
+    expect(await redisClient.get(`auth_${second.token}`)).to.equal(null);
+  });
+
+  it('fails to refresh without a refresh token', async () => {
+    const res = await request(app).post('/connect/refresh').send({});
+    expect(res.statusCode).to.equal(400);
+    expect(res.body).to.deep.equal({ error: 'Missing refreshToken' });
+  });
+});
@@ -0,0 +1,191 @@
+import sha1 from 'sha1';
+import { expect } from 'chai';
+import request from 'supertest';
+import { v4 as uuidv4 } from 'uuid';
+import app from '../../server';
+import dbClient from '../../utils/db';
+import { addUser } from '../helpers';
+
+const fs = require('fs');
+
+describe('sharesController', () => {
+  let mockUserInfo = null;
+  let mockUserToken = null;
+  let mockUser1Info = null;
+  let mockUser1Token = null;
+
+  let mockFolderInfo = null;
+  let mockFileInfo = null;
+
+  beforeEach(async () => {
+    await dbClient.db.collection('files').deleteMany({});
+    await dbClient.db.collection('users').deleteMany({});
+
+    [mockUserInfo, mockUserToken] = await addUser({
+      email: 'tester0@test.com',
+      password: sha1('secret~!'),
+    });
+
+    [mockUser1Info, mockUser1Token] = await addUser({
+      email: 'tester1@test.com',
+      password: sha1('secret~!'),
+    });
+
+    const folderPath = process.env.FOLDER_PATH || '/tmp/files_manager';
+    const filePath = `${folderPath}/${uuidv4()}`;
+    fs.mkdirSync(folderPath, { recursive: true });
+    fs.writeFileSync(filePath, 'Hello!');
+
+    mockFolderInfo = await dbClient.db.collection('files').insertOne({
+      userId: mockUserInfo.ops[0]._id,
+      name: 'team',
+      type: 'folder',
+      isPublic: false,
+      parentId: 0,
+    });
+
+    mockFileInfo = await dbClient.db.collection('files').insertOne({
+      userId: mockUserInfo.ops[0]._id,
+      name: 'notes.txt',
+      type: 'file',
+      isPublic: false,
+      parentId: mockFolderInfo.ops[0]._id,
+      localPath: filePath,
+    });
+  });
+
+  after(async () => {
+    await dbClient.db.collection('files').deleteMany({});
+    await dbClient.db.collection('users').deleteMany({});
+  });
+
+  async function share(role) {
+    return request(app).post(`/files/${mockFolderInfo.ops[0]._id}/shares`)
+      .set('X-Token', mockUserToken)
+      .send({ email: 'tester1@test.com', role });
+  }
+
+  describe('pOST /files/:id/shares', () => {
+    it('fails when the file belongs to another user', async () => {
+      const res = await request(app).post(`/files/${mockFolderInfo.ops[0]._id}/shares`)
+        .set('X-Token', mockUser1Token)
+        .send({ email: 'tester0@test.com', role: 'viewer' });
+      expect(res.statusCode).to.equal(404);
+      expect(res.body).to.deep.equal({ error: 'Not found' });
+    });
+
+    it('fails with an unknown role', async () => {
+      const res = await share('admin');
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Invalid role' });
+    });
+
+    it('fails with an unknown user', async () => {
+      const res = await request(app).post(`/files/${mockFolderInfo.ops[0]._id}/shares`)
+        .set('X-Token', mockUserToken)
+        .send({ email: 'nobody@test.com', role: 'viewer' });
+      expect(res.statusCode).to.equal(404);
+      expect(res.body).to.deep.equal({ error: 'User not found' });
+    });
+
+    it('replaces the role when shared again', async () => {
+      await share('viewer');
+      const res = await share('editor');
+      expect(res.statusCode).to.equal(201);
+      expect(res.body.role).to.equal('editor');
+
+      const folder = await dbClient.db.collection('files').findOne({ _id: mockFolderInfo.ops[0]._id });
+      expect(folder.shares.length).to.equal(1);
+      expect(folder.shares[0].role).to.equal('editor');
+    });
+  });
+
+  describe('viewer access', () => {
+    beforeEach(async () => {
+      await share('viewer');
+    });
+
+    it('lists the folder in shared-with-me', async () => {
+      const res = await request(app).get('/files/shared-with-me')
+        .set('X-Token', mockUser1Token);
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.length).to.equal(1);
+      expect(res.body[0].id).to.equal(mockFolderInfo.ops[0]._id.toString());
+      expect(res.body[0].role).to.equal('viewer');
+    });
+
+    it('inherits read access down the folder', async () => {
+      let res = await request(app).get('/files')
+        .query({ parentId: mockFolderInfo.ops[0]._id.toString() })
+        .set('X-Token', mockUser1Token);
+      expect(res.body.length).to.equal(1);
+
+      res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}`)
+        .set('X-Token', mockUser1Token);
+      expect(res.statusCode).to.equal(200);
+
+      res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .set('X-Token', mockUser1Token);
+      expect(res.statusCode).to.equal(200);
+      expect(res.text).to.equal('Hello!');
+    });
+
+    it('cannot change the content', async () => {
+      let res = await request(app).put(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .set('X-Token', mockUser1Token)
+        .send({ data: Buffer.from('Bye!').toString('base64') });
+      expect(res.statusCode).to.equal(403);
+      expect(res.body).to.deep.equal({ error: 'Permission denied' });
+
+      res = await request(app).post('/files')
+        .set('X-Token', mockUser1Token)
+        .send({ name: 'new', type: 'folder', parentId: mockFolderInfo.ops[0]._id.toString() });
+      expect(res.statusCode).to.equal(403);
+
+      res = await request(app).delete(`/files/${mockFileInfo.ops[0]._id}`)
+        .set('X-Token', mockUser1Token);
+      expect(res.statusCode).to.equal(403);
+    });
+
+    it('loses access once the share is removed', async () => {
+      let res = await request(app).delete(`/files/${mockFolderInfo.ops[0]._id}/shares/${mockUser1Info.ops[0]._id}`)
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(204);
+
+      res = await request(app).get(`/files/${mockFileInfo.ops[0]._id}`)
+        .set('X-Token', mockUser1Token);
+      expect(res.statusCode).to.equal(404);
+    });
+  });
+
+  describe('editor access', () => {
+    beforeEach(async () => {
+      await share('editor');
+    });
+
+    it('uploads into the shared folder and replaces content', async () => {
+      let res = await request(app).post('/files')
+        .set('X-Token', mockUser1Token)
+        .send({
+          name: 'more.txt',
+          type: 'file',
+          data: Buffer.from('More').toString('base64'),
+          parentId: mockFolderInfo.ops[0]._id.toString(),
+        });
+      expect(res.statusCode).to.equal(201);
+      expect(res.body.userId).to.equal(mockUser1Info.ops[0]._id.toString());
+
+      res = await request(app).put(`/files/${mockFileInfo.ops[0]._id}/data`)
+        .set('X-Token', mockUser1Token)
+        .send({ data: Buffer.from('Bye!').toString('base64') });
+      expect(res.statusCode).to.equal(200);
+    });
+
+    it('cannot publish the owner files', async () => {
+      const res = await request(app).put(`/files/${mockFileInfo.ops[0]._id}/publish`)
+        .set('X-Token', mockUser1Token);
+      expect(res.statusCode).to.equal(403);
+      expect(res.body).to.deep.equal({ error: 'Permission denied' });
+    });
+  });
+});
@@ -0,0 +1,235 @@
+import sha1 from 'sha1';
+import { expect } from 'chai';
+import request from 'supertest';
+import app from '../../server';
+import dbClient from '../../utils/db';
+import redisClient from '../../utils/redis';
+import { addUser } from '../helpers';
+
+const fs = require('fs');
+
+describe('uploadsController', () => {
+  let mockUserInfo = null;
+  let mockUserToken = null;
+  let mockUser1Token = null;
+
+  beforeEach(async () => {
+    await dbClient.db.collection('files').deleteMany({});
+    await dbClient.db.collection('users').deleteMany({});
+
+    [mockUserInfo, mockUserToken] = await addUser({
+      email: 'tester0@test.com',
+      password: sha1('secret~!'),
+    });
+
+    [, mockUser1Token] = await addUser({
+      email: 'tester1@test.com',
+      password: sha1('secret~!'),
+    });
+  });
+
+  after(async () => {
+    await dbClient.db.collection('files').deleteMany({});
+    await dbClient.db.collection('users').deleteMany({});
+  });
+
+  async function createSession(size) {
+    const res = await request(app).post('/files/uploads')
+      .set('X-Token', mockUserToken)
+      .send({ name: 'big.bin', type: 'file', size });
+    return res.body.id;
+  }
+
+  describe('pOST /files/uploads', () => {
+    it('fails when user token is invalid', async () => {
+      const res = await request(app).post('/files/uploads')
+        .set('X-Token', `${mockUserToken}!`)
+        .send({ name: 'big.bin', type: 'file', size: 12 });
+      expect(res.statusCode).to.equal(401);
+      expect(res.body).to.deep.equal({ error: 'Unauthorized' });
+    });
+
+    it("fails when 'size' is missing", async () => {
+      const res = await request(app).post('/files/uploads')
+        .set('X-Token', mockUserToken)
+        .send({ name: 'big.bin', type: 'file' });
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Missing size' });
+    });
+
+    it('creates a session starting at offset 0', async () => {
+      const res = await request(app).post('/files/uploads')
+        .set('X-Token', mockUserToken)
+        .send({ name: 'big.bin', type: 'file', size: 12 });
+      expect(res.statusCode).to.equal(201);
+      expect(res.body.offset).to.equal(0);
+      expect(res.body.size).to.equal(12);
+      expect(res.header.location).to.equal(`/files/uploads/${res.body.id}`);
+    });
+  });
+
+  describe('pATCH /files/uploads/:id', () => {
+    it('appends chunks and reports the offset', async () => {
+      const id = await createSession(12);
+
+      let res = await request(app).patch(`/files/uploads/${id}`)
+        .set('X-Token', mockUserToken)
+        .set('Upload-Offset', '0')
+        .set('Content-Type', 'application/offset+octet-stream')
+        .send(Buffer.from('Hello '));
+      expect(res.statusCode).to.equal(204);
+      expect(res.header['upload-offset']).to.equal('6');
+
+      res = await request(app).head(`/files/uploads/${id}`)
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(200);
+      expect(res.header['upload-offset']).to.equal('6');
+      expect(res.header['upload-length']).to.equal('12');
+    });
+
+    it('fails when the offset does not match', async () => {
+      const id = await createSession(12);
+
+      const res = await request(app).patch(`/files/uploads/${id}`)
+        .set('X-Token', mockUserToken)
+        .set('Upload-Offset', '6')
+        .set('Content-Type', 'application/offset+octet-stream')
+        .send(Buffer.from('world!'));
+      expect(res.statusCode).to.equal(409);
+      expect(res.body).to.deep.equal({ error: 'Offset mismatch' });
+    });
+
+    it('fails when the chunk goes past the announced size', async () => {
+      const id = await createSession(4);
+
+      const res = await request(app).patch(`/files/uploads/${id}`)
+        .set('X-Token', mockUserToken)
+        .set('Upload-Offset', '0')
+        .set('Content-Type', 'application/offset+octet-stream')
+        .send(Buffer.from('Hello world!'));
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Chunk exceeds upload length' });
+    });
+
+    it('fails while another chunk is being appended', async () => {
+      const id = await createSession(12);
+      await redisClient.set(`upload_lock_${id}`, 'pending', 60);
+
+      const res = await request(app).patch(`/files/uploads/${id}`)
+        .set('X-Token', mockUserToken)
+        .set('Upload-Offset', '0')
+        .set('Content-Type', 'application/offset+octet-stream')
+        .send(Buffer.from('Hello '));
+      expect(res.statusCode).to.equal(409);
+      expect(res.body).to.deep.equal({ error: 'Upload in progress' });
+      await redisClient.del(`upload_lock_${id}`);
+    });
+
+    it('fails for a session of another user', async () => {
+      const id = await createSession(12);
+
+      const res = await request(app).patch(`/files/uploads/${id}`)
+        .set('X-Token', mockUser1Token)
+        .set('Upload-Offset', '0')
+        .set('Content-Type', 'application/offset+octet-stream')
+        .send(Buffer.from('Hello '));
+      expect(res.statusCode).to.equal(404);
+      expect(res.body).to.deep.equal({ error: 'Not found' });
+    });
+  });
+
+  describe('pOST /files/uploads/:id/complete', () => {
+    it('fails when the upload is incomplete', async () => {
+      const id = await createSession(12);
+
+      const res = await request(app).post(`/files/uploads/${id}/complete`)
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Upload incomplete' });
+    });
+
+    it('creates the file document once every chunk is received', async () => {
+      const id = await createSession(12);
+
+      await request(app).patch(`/files/uploads/${id}`)
+        .set('X-Token', mockUserToken)
+        .set('Upload-Offset', '0')
+        .set('Content-Type', 'application/offset+octet-stream')
+        .send(Buffer.from('Hello '));
+      await request(app).patch(`/files/uploads/${id}`)
+        .set('X-Token', mockUserToken)
+        .set('Upload-Offset', '6')
+        .set('Content-Type', 'application/offset+octet-stream')
+        .send(Buffer.from('world!'));
+
+      const res = await request(app).post(`/files/uploads/${id}/complete`)
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(201);
+      expect(res.body.name).to.equal('big.bin');
+      expect(res.body.userId).to.equal(mockUserInfo.ops[0]._id.toString());
+
+      const doc = await dbClient.db.collection('files').findOne({ name: 'big.bin' });
+      expect(doc.size).to.equal(12);
+      expect(fs.readFileSync(doc.localPath).toString()).to.equal('Hello world!');
+      expect(await redisClient.get(`upload_${id}`)).to.equal(null);
+    });
+
+    it('completes a session only once', async () => {
+      const id = await createSession(12);
+      await request(app).patch(`/files/uploads/${id}`)
+        .set('X-Token', mockUserToken)
+        .set('Upload-Offset', '0')
+        .set('Content-Type', 'application/offset+octet-stream')
+        .send(Buffer.from('Hello world!'));
+
+      const results = await Promise.all([1, 2].map(() => request(app)
+        .post(`/files/uploads/${id}/complete`)
+        .set('X-Token', mockUserToken)));
+      expect(results.filter((res) => res.statusCode === 201).length).to.equal(1);
+
+      const user = await dbClient.db.collection('users').findOne({ _id: mockUserInfo.ops[0]._id });
+      expect(user.usedBytes).to.equal(12);
+      expect(await dbClient.db.collection('files').countDocuments({ name: 'big.bin' })).to.equal(1);
+    });
+
+    it('fails when the parent folder was trashed meanwhile', async () => {
+      const folder = await dbClient.db.collection('files').insertOne({
+        userId: mockUserInfo.ops[0]._id, name: 'inbox', type: 'folder', isPublic: false, parentId: 0,
+      });
+      const session = await request(app).post('/files/uploads')
+        .set('X-Token', mockUserToken)
+        .send({
+          name: 'big.bin', type: 'file', size: 12, parentId: folder.ops[0]._id.toString(),
+        });
+      const { id } = session.body;
+      await request(app).patch(`/files/uploads/${id}`)
+        .set('X-Token', mockUserToken)
+        .set('Upload-Offset', '0')
+        .set('Content-Type', 'application/offset+octet-stream')
+        .send(Buffer.from('Hello world!'));
+      await dbClient.db.collection('files').updateOne(
+        { _id: folder.ops[0]._id }, { $set: { deletedAt: new Date() } },
+      );
+
+      const res = await request(app).post(`/files/uploads/${id}/complete`)
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Parent not found' });
+      expect(await redisClient.get(`upload_${id}`)).to.not.equal(null);
+    });
+  });
+
+  describe('dELETE /files/uploads/:id', () => {
+    it('aborts the session', async () => {
+      const id = await createSession(12);
+
+      const res = await request(app).delete(`/files/uploads/${id}`)
+        .set('X-Token', mockUserToken);
+      expect(res.statusCode).to.equal(204);
+
+      const head = await request(app).head(`/files/uploads/${id}`)
+        .set('X-Token', mockUserToken);
+      expect(head.statusCode).to.equal(404);
+    });
+  });
+});
@@ -5,6 +5,8 @@ import { v4 as uuidv4 } from 'uuid';
 import app from '../../server';
 import dbClient from '../../utils/db';
 import redisClient from '../../utils/redis';
+import { createToken } from '../../utils/tokens';
+import { verifyPassword } from '../../utils/passwords';
 
 describe('usersController', () => {
   describe('pOST /users', () => {
@@ -51,12 +53,38 @@ describe('usersController', () => {
       expect(res.body).to.deep.equal({ error: 'Already exist' });
     });
 
-    it('stores the password of new user as SHA1', async () => {
+    it('stores the password of new user as a salted scrypt hash', async () => {
       const res = await request(app).post('/users')
         .send({ email: 'blue@west.com', password: 'secret~!' });
       const usr = await dbClient.db.collection('users').findOne({ email: 'blue@west.com' });
       expect(res.statusCode).to.equal(201);
-      expect(usr.password).to.equal(sha1('secret~!'));
+      expect(usr.password).to.match(/^\$scrypt\$ln=\d+,r=\d+,p=\d+\$[^$]+\$[^$]+$/);
+      expect(usr.password).to.not.include(sha1('secret~!'));
+    });
+
+    it('fails with 400 HTTP status code when password is weak', async () => {
+      let res = await request(app).post('/users')
+        .send({ email: 'green@west.com', password: 'short1' });
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Password must be at least 8 characters' });
+
+      res = await request(app).post('/users')
+        .send({ email: 'green@west.com', password: 'onlyletters' });
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Password must mix letters, digits or symbols' });
+
+      res = await request(app).post('/users')
+        .send({ email: 'green@west.com', password: 'Password1' });
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Password is too common' });
+
+      res = await request(app).post('/users')
+        .send({ email: 'green@west.com', password: 'green@2024' });
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Password must not contain the email' });
+
+      expect(await dbClient.db.collection('users').findOne({ email: 'green@west.com' }))
+        .is.equal(null);
     });
   });
 
@@ -81,10 +109,84 @@ describe('usersController', () => {
       expect(res.body.email).to.deep.equal(mockUser.email);
     });
 
+    it('reports the storage used and available', async () => {
+      await dbClient.db.collection('users').updateOne(
+        { _id: usr.ops[0]._id },
+        { $set: { usedBytes: 400, quota: 1000 } },
+      );
+
+      const res = await request(app).get('/users/me')
+        .set('X-Token', usrToken);
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.storage).to.deep.equal({ used: 400, quota: 1000, available: 600 });
+    });
+
     it('fail with 401 HTTP status code when token is incorrect', async () => {
       const res = await request(app).get('/users/me')
         .set('X-Token', `${usrToken}!`);
       expect(res.statusCode).to.equal(401);
     });
   });
-});
\ No newline at end of file
+
+  describe('email verification and password reset', () => {
+    let usr = null;
+
+    beforeEach(async () => {
+      await dbClient.db.collection('users').deleteMany({});
+      usr = await dbClient.db.collection('users').insertOne({
+        email: 'tester@test.com', password: sha1('secret~!'), verified: false,
+      });
+    });
+
+    after(async () => {
+      await dbClient.db.collection('users').deleteMany({});
+    });
+
+    it('marks new users as unverified', async () => {
+      await request(app).post('/users')
+        .send({ email: 'new@test.com', password: 'huntDeveloper200' });
+      const user = await dbClient.db.collection('users').findOne({ email: 'new@test.com' });
+      expect(user.verified).to.equal(false);
+    });
+
+    it('verifies the email with a single-use token', async () => {
+      const token = await createToken('verify', usr.ops[0]._id);
+
+      let res = await request(app).post('/users/verify').send({ token });
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.verified).to.equal(true);
+      const user = await dbClient.db.collection('users').findOne({ _id: usr.ops[0]._id });
+      expect(user.verified).to.equal(true);
+
+      res = await request(app).post('/users/verify').send({ token });
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Invalid token' });
+    });
+
+    it('accepts forgotten password requests for unknown emails', async () => {
+      const res = await request(app).post('/users/forgot-password')
+        .send({ email: 'unknown@test.com' });
+      expect(res.statusCode).to.equal(202);
+    });
+
+    it('resets the password with a single-use token', async () => {
+      const token = await createToken('reset', usr.ops[0]._id);
+
+      let res = await request(app).post('/users/reset-password')
+        .send({ token, password: 'short' });
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Password must be at least 8 characters' });
+
+      res = await request(app).post('/users/reset-password')
+        .send({ token, password: 'huntDeveloper200' });
+      expect(res.statusCode).to.equal(200);
+      const user = await dbClient.db.collection('users').findOne({ _id: usr.ops[0]._id });
+      expect(await verifyPassword('huntDeveloper200', user.password)).to.equal(true);
+
+      res = await request(app).post('/users/reset-password')
+        .send({ token, password: 'huntDeveloper300' });
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Invalid token' });
+    });
+  });
+});
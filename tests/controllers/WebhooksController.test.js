@@ -0,0 +1,139 @@
+import sha1 from 'sha1';
+import { expect } from 'chai';
+import request from 'supertest';
+import app from '../../server';
+import dbClient from '../../utils/db';
+import { addUser } from '../helpers';
+
+describe('webhooksController', () => {
+  let mockUserToken = null;
+  let mockUser1Token = null;
+  let mockFileInfo = null;
+
+  const createWebhook = async (body) => {
+    const res = await request(app).post('/users/me/webhooks')
+      .set('X-Token', mockUserToken)
+      .send(body);
+    return res.body;
+  };
+
+  beforeEach(async () => {
+    await dbClient.db.collection('files').deleteMany({});
+    await dbClient.db.collection('users').deleteMany({});
+    await dbClient.db.collection('webhooks').deleteMany({});
+    await dbClient.db.collection('deliveries').deleteMany({});
+
+    let mockUserInfo = null;
+    [mockUserInfo, mockUserToken] = await addUser({
+      email: 'tester0@test.com',
+      password: sha1('secret~!'),
+    });
+    [, mockUser1Token] = await addUser({
+      email: 'tester1@test.com',
+      password: sha1('secret~!'),
+    });
+
+    mockFileInfo = await dbClient.db.collection('files').insertOne({
+      userId: mockUserInfo.ops[0]._id,
+      name: 'report.pdf',
+      type: 'file',
+      isPublic: false,
+      parentId: 0,
+    });
+  });
+
+  after(async () => {
+    await dbClient.db.collection('files').deleteMany({});
+    await dbClient.db.collection('users').deleteMany({});
+    await dbClient.db.collection('webhooks').deleteMany({});
+    await dbClient.db.collection('deliveries').deleteMany({});
+  });
+
+  it('registers a webhook and only shows its secret once', async () => {
+    const res = await request(app).post('/users/me/webhooks')
+      .set('X-Token', mockUserToken)
+      .send({ url: 'https://example.com/hooks', events: ['file.published'] });
+    expect(res.statusCode).to.equal(201);
+    expect(res.body.secret).to.match(/^whsec_/);
+    expect(res.body.events).to.deep.equal(['file.published']);
+
+    const list = await request(app).get('/users/me/webhooks')
+      .set('X-Token', mockUserToken);
+    expect(list.body.map((webhook) => webhook.url)).to.deep.equal(['https://example.com/hooks']);
+    expect(list.body[0]).to.not.have.property('secret');
+  });
+
+  it('fails with an invalid url or event', async () => {
+    let res = await request(app).post('/users/me/webhooks')
+      .set('X-Token', mockUserToken)
+      .send({ url: 'ftp://example.com' });
+    expect(res.statusCode).to.equal(400);
+    expect(res.body).to.deep.equal({ error: 'Invalid url' });
+
+    res = await request(app).post('/users/me/webhooks')
+      .set('X-Token', mockUserToken)
+      .send({ url: 'https://example.com', events: ['file.renamed'] });
+    expect(res.statusCode).to.equal(400);
+    expect(res.body).to.deep.equal({ error: 'Invalid events' });
+  });
+
+  it('refuses urls pointing at private addresses', async () => {
+    const urls = ['http://127.0.0.1:6379/', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'http://2130706433/'];
+    for (const url of urls) {
+      const res = await request(app).post('/users/me/webhooks')
+        .set('X-Token', mockUserToken)
+        .send({ url });
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.deep.equal({ error: 'Invalid url' });
+    }
+  });
+
+  it('queues a test event', async () => {
+    const webhook = await createWebhook({ url: 'https://example.com/hooks', events: ['file.deleted'] });
+
+    const res = await request(app).post(`/users/me/webhooks/${webhook.id}/test`)
+      .set('X-Token', mockUserToken);
+    expect(res.statusCode).to.equal(202);
+    expect(res.body.event).to.equal('ping');
+
+    const deliveries = await request(app).get(`/users/me/webhooks/${webhook.id}/deliveries`)
+      .set('X-Token', mockUserToken);
+    expect(deliveries.statusCode).to.equal(200);
+    expect(deliveries.body.map((delivery) => delivery.event)).to.deep.equal(['ping']);
+  });
+
+  it('queues deliveries for the events a webhook listens to', async () => {
+    const webhook = await createWebhook({ url: 'https://example.com/hooks', events: ['file.published'] });
+
+    await request(app).put(`/files/${mockFileInfo.ops[0]._id}/publish`)
+      .set('X-Token', mockUserToken);
+    await request(app).put(`/files/${mockFileInfo.ops[0]._id}/unpublish`)
+      .set('X-Token', mockUserToken);
+
+    // Events are queued after the response is sent
+    let deliveries = [];
+    for (let i = 0; i < 20 && !deliveries.length; i += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      deliveries = await dbClient.db.collection('deliveries').find({}).toArray();
+    }
+    expect(deliveries.map((delivery) => delivery.event)).to.deep.equal(['file.published']);
+    expect(deliveries[0].webhookId.toString()).to.equal(webhook.id);
+    expect(deliveries[0].payload.data.file.name).to.equal('report.pdf');
+  });
+
+  it('keeps webhooks private to their owner', async () => {
+    const webhook = await createWebhook({ url: 'https://example.com/hooks' });
+
+    let res = await request(app).post(`/users/me/webhooks/${webhook.id}/test`)
+      .set('X-Token', mockUser1Token);
+    expect(res.statusCode).to.equal(404);
+
+    res = await request(app).delete(`/users/me/webhooks/${webhook.id}`)
+      .set('X-Token', mockUser1Token);
+    expect(res.statusCode).to.equal(404);
+
+    res = await request(app).delete(`/users/me/webhooks/${webhook.id}`)
+      .set('X-Token', mockUserToken);
+    expect(res.statusCode).to.equal(204);
+  });
+});
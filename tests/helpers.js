@@ -0,0 +1,14 @@
+import { v4 as uuidv4 } from 'uuid';
+import dbClient from '../utils/db';
+import redisClient from '../utils/redis';
+
+// Inserts a user and logs it in, resolves to [insert result, token]
+async function addUser(data) {
+  const userInfo = await dbClient.db.collection('users').insertOne(data);
+  const usertoken = uuidv4();
+  await redisClient.set(`auth_${usertoken}`, userInfo.ops[0]._id.toString(), 90);
+
+  return [userInfo, usertoken];
+}
+
+export { addUser };
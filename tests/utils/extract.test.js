@@ -0,0 +1,101 @@
+import chai from 'chai';
+import tar from 'tar-stream';
+import { ObjectId } from 'mongodb';
+import dbClient from '../../utils/db';
+import { writeBlob, releaseBlob } from '../../utils/files';
+import { entryPath, extractArchive } from '../../utils/extract';
+
+const readStream = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', (chunk) => chunks.push(chunk));
+  stream.on('error', reject);
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+// Archives are extracted from storage, like uploaded ones
+const makeTar = async (entries) => {
+  const pack = tar.pack();
+  const archive = readStream(pack);
+  entries.forEach(([name, data]) => {
+    if (data === null) pack.entry({ name, type: 'directory' });
+    else pack.entry({ name }, data);
+  });
+  pack.finalize();
+  return writeBlob(await archive);
+};
+
+describe('entryPath', () => {
+  it('splits a relative path into segments', () => {
+    chai.expect(entryPath('docs\\./notes/a.txt')).to.deep.equal(['docs', 'notes', 'a.txt']);
+  });
+
+  it('refuses paths leaving the target folder', () => {
+    ['../a.txt', 'docs/../../a.txt', '/etc/passwd', 'C:/a.txt'].forEach((name) => {
+      chai.expect(() => entryPath(name)).to.throw(`Invalid entry path: ${name}`);
+    });
+  });
+});
+
+describe('extractArchive', () => {
+  let userId = null;
+
+  beforeEach(async () => {
+    await dbClient.db.collection('files').deleteMany({});
+    await dbClient.db.collection('users').deleteMany({});
+    await dbClient.db.collection('blobs').deleteMany({});
+
+    const userInfo = await dbClient.db.collection('users').insertOne({ email: 'tester0@test.com' });
+    userId = userInfo.ops[0]._id;
+  });
+
+  after(async () => {
+    await dbClient.db.collection('files').deleteMany({});
+    await dbClient.db.collection('users').deleteMany({});
+    await dbClient.db.collection('blobs').deleteMany({});
+  });
+
+  it('expands a tar archive into folders and files', async () => {
+    const archive = await makeTar([
+      ['site/', null],
+      ['site/css/main.css', 'body {}'],
+      ['site/logo.png', 'png'],
+    ]);
+
+    const created = await extractArchive(archive.localPath, { userId, parentId: 0 });
+    chai.expect(created.map((doc) => `${doc.type}:${doc.name}`)).to.deep.equal([
+      'folder:site', 'folder:css', 'file:main.css', 'image:logo.png',
+    ]);
+
+    const css = await dbClient.files.findOne({ name: 'css' });
+    chai.expect(css.parentId.toString()).to.equal(created[0]._id.toString());
+
+    const user = await dbClient.users.findOne({ _id: ObjectId(userId) });
+    chai.expect(user.usedBytes).to.equal(10);
+  });
+
+  it('keeps nothing when an entry path is unsafe', async () => {
+    const archive = await makeTar([
+      ['a.txt', 'Hello!'],
+      ['../b.txt', 'Hello!'],
+    ]);
+
+    try {
+      await extractArchive(archive.localPath, { userId, parentId: 0 });
+      chai.expect.fail('extractArchive() should have failed');
+    } catch (error) {
+      chai.expect(error.message).to.equal('Invalid entry path: ../b.txt');
+    }
+    await releaseBlob(archive);
+    chai.expect(await dbClient.files.countDocuments()).to.equal(0);
+    chai.expect(await dbClient.blobs.countDocuments()).to.equal(0);
+  });
+
+  it('refuses unknown formats', async () => {
+    try {
+      await extractArchive((await writeBlob(Buffer.from('Hello!'))).localPath, { userId, parentId: 0 });
+      chai.expect.fail('extractArchive() should have failed');
+    } catch (error) {
+      chai.expect(error.message).to.equal('Unsupported archive format');
+    }
+  });
+});
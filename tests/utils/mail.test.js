@@ -0,0 +1,32 @@
+import chai from 'chai';
+import { v4 as uuidv4 } from 'uuid';
+import { createTransport } from '../../utils/mail';
+import { verifyMessage } from '../../utils/mail/messages';
+
+const fs = require('fs');
+
+describe('outbox mail transport', () => {
+  const root = `/tmp/files_manager_outbox_${uuidv4()}`;
+  const transport = createTransport('outbox', { root, from: 'test@localhost' });
+
+  after(() => {
+    fs.readdirSync(root).forEach((file) => fs.unlinkSync(`${root}/${file}`));
+    fs.rmdirSync(root);
+  });
+
+  it('send() writes the message as a JSON file', async () => {
+    await transport.send(verifyMessage({ email: 'tester@test.com' }, 'abc123'));
+
+    const files = fs.readdirSync(root);
+    chai.expect(files.length).to.equal(1);
+
+    const mail = JSON.parse(fs.readFileSync(`${root}/${files[0]}`));
+    chai.expect(mail.from).to.equal('test@localhost');
+    chai.expect(mail.to).to.equal('tester@test.com');
+    chai.expect(mail.text).to.include('abc123');
+  });
+
+  it('refuses unknown transports', () => {
+    chai.expect(() => createTransport('pigeon')).to.throw('Unknown mail transport: pigeon');
+  });
+});
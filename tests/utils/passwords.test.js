@@ -0,0 +1,35 @@
+import sha1 from 'sha1';
+import chai from 'chai';
+import {
+  hashPassword, verifyPassword, needsRehash, checkStrength
+} from '../../utils/passwords';
+
+describe('passwords', () => {
+  it('hashes with a random salt and verifies', async () => {
+    const first = await hashPassword('secret~!');
+    const second = await hashPassword('secret~!');
+    chai.expect(first).to.not.equal(second);
+
+    chai.expect(await verifyPassword('secret~!', first)).to.equal(true);
+    chai.expect(await verifyPassword('carrot~!', first)).to.equal(false);
+    chai.expect(needsRehash(first)).to.equal(false);
+  });
+
+  it('verifies legacy SHA-1 digests and flags them for rehashing', async () => {
+    chai.expect(await verifyPassword('secret~!', sha1('secret~!'))).to.equal(true);
+    chai.expect(await verifyPassword('carrot~!', sha1('secret~!'))).to.equal(false);
+    chai.expect(needsRehash(sha1('secret~!'))).to.equal(true);
+  });
+
+  it('flags hashes made with other parameters', async () => {
+    const stored = (await hashPassword('secret~!')).replace(/ln=\d+/, 'ln=10');
+    chai.expect(needsRehash(stored)).to.equal(true);
+  });
+
+  it('checks the strength of new passwords', () => {
+    chai.expect(checkStrength('huntDeveloper200', 'tester@test.com')).to.equal(null);
+    chai.expect(checkStrength('abc', 'tester@test.com')).to.equal('Password must be at least 8 characters');
+    chai.expect(checkStrength('12345678', 'tester@test.com')).to.equal('Password must mix letters, digits or symbols');
+    chai.expect(checkStrength('tester-2024', 'tester@test.com')).to.equal('Password must not contain the email');
+  });
+});
@@ -0,0 +1,66 @@
+import chai from 'chai';
+import request from 'supertest';
+import app from '../../server';
+import redisClient from '../../utils/redis';
+import { routeGroup } from '../../utils/ratelimit';
+
+const LOCAL_IPS = ['::ffff:127.0.0.1', '127.0.0.1', '::1'];
+
+describe('rate limits', () => {
+  it('groups routes', () => {
+    chai.expect(routeGroup('GET', '/connect')).to.equal('auth');
+    chai.expect(routeGroup('POST', '/connect/refresh')).to.equal('auth');
+    chai.expect(routeGroup('POST', '/users')).to.equal('auth');
+    chai.expect(routeGroup('POST', '/users/reset-password')).to.equal('auth');
+    chai.expect(routeGroup('POST', '/users/me/keys')).to.equal('write');
+    chai.expect(routeGroup('POST', '/files')).to.equal('upload');
+    chai.expect(routeGroup('PATCH', '/files/uploads/abc')).to.equal('upload');
+    chai.expect(routeGroup('PUT', '/files/abc/data')).to.equal('upload');
+    chai.expect(routeGroup('GET', '/files/abc')).to.equal('read');
+    chai.expect(routeGroup('HEAD', '/files/uploads/abc')).to.equal('read');
+    chai.expect(routeGroup('DELETE', '/files/abc')).to.equal('write');
+  });
+
+  describe('per IP budget', () => {
+    const clear = async () => {
+      for (const ip of LOCAL_IPS) await redisClient.del(`ratelimit_read_ip_${ip}`);
+    };
+
+    beforeEach(async () => {
+      await clear();
+      process.env.RATE_LIMIT_READ_IP = '2/60';
+    });
+
+    afterEach(async () => {
+      delete process.env.RATE_LIMIT_READ_IP;
+      await clear();
+    });
+
+    it('sends RateLimit headers', async () => {
+      const res = await request(app).get('/files');
+      chai.expect(res.statusCode).to.equal(401);
+      chai.expect(res.header['ratelimit-limit']).to.equal('2');
+      chai.expect(res.header['ratelimit-remaining']).to.equal('1');
+      chai.expect(Number(res.header['ratelimit-reset'])).to.be.within(1, 60);
+    });
+
+    it('answers 429 with Retry-After once the budget is spent', async () => {
+      await request(app).get('/files');
+      await request(app).get('/files');
+
+      const res = await request(app).get('/files');
+      chai.expect(res.statusCode).to.equal(429);
+      chai.expect(res.body).to.deep.equal({ error: 'Too many requests' });
+      chai.expect(Number(res.header['retry-after'])).to.be.within(1, 60);
+      chai.expect(res.header['ratelimit-remaining']).to.equal('0');
+    });
+
+    it('leaves the health checks out', async () => {
+      for (let i = 0; i < 3; i += 1) {
+        const res = await request(app).get('/status');
+        chai.expect(res.statusCode).to.equal(200);
+        chai.expect(res.header).to.not.have.property('ratelimit-limit');
+      }
+    });
+  });
+});
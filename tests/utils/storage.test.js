@@ -0,0 +1,88 @@
+import chai from 'chai';
+import { v4 as uuidv4 } from 'uuid';
+import { createStorage, blobKey } from '../../utils/storage';
+
+const fs = require('fs');
+
+const readStream = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', (chunk) => chunks.push(chunk));
+  stream.on('error', reject);
+  stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+});
+
+// The S3 driver runs against a local stand-in such as MinIO when S3_ENDPOINT is set
+const drivers = process.env.S3_ENDPOINT ? ['local', 's3'] : ['local'];
+
+drivers.forEach((name) => {
+  describe(`${name} storage driver`, () => {
+    const storage = createStorage(name);
+    let key = null;
+
+    beforeEach(() => {
+      key = uuidv4();
+    });
+
+    afterEach(async () => {
+      await storage.delete(key);
+    });
+
+    it('put() stores a buffer that get() streams back', async () => {
+      await storage.put(key, Buffer.from('Hello!'));
+      chai.expect(await readStream(await storage.get(key))).to.equal('Hello!');
+    });
+
+    it('get() streams a byte range', async () => {
+      await storage.put(key, Buffer.from('Hello!'));
+      chai.expect(await readStream(await storage.get(key, { start: 1, end: 3 }))).to.equal('ell');
+    });
+
+    it('putFile() stores a local file and removes it', async () => {
+      const folderPath = process.env.FOLDER_PATH || '/tmp/files_manager';
+      const path = `${folderPath}/${uuidv4()}.tmp`;
+      fs.mkdirSync(folderPath, { recursive: true });
+      fs.writeFileSync(path, 'Hello!');
+
+      await storage.putFile(key, path);
+      chai.expect(fs.existsSync(path)).to.equal(false);
+      chai.expect(await readStream(await storage.get(key))).to.equal('Hello!');
+    });
+
+    it('stat() returns the size, or null for a missing blob', async () => {
+      chai.expect(await storage.stat(key)).to.equal(null);
+      await storage.put(key, Buffer.from('Hello!'));
+      chai.expect((await storage.stat(key)).size).to.equal(6);
+    });
+
+    it('delete() removes the blob', async () => {
+      await storage.put(key, Buffer.from('Hello!'));
+      chai.expect(await storage.exists(key)).to.equal(true);
+      await storage.delete(key);
+      chai.expect(await storage.exists(key)).to.equal(false);
+    });
+
+    it('get() fails with ENOENT for a missing blob', async () => {
+      try {
+        await storage.get(key);
+        chai.expect.fail('get() should have failed');
+      } catch (error) {
+        chai.expect(error.code).to.equal('ENOENT');
+      }
+    });
+
+    it('rejects keys that are not a single path segment', async () => {
+      try {
+        await storage.put('../escape', Buffer.from('Hello!'));
+        chai.expect.fail('put() should have failed');
+      } catch (error) {
+        chai.expect(error.message).to.equal('Invalid storage key: ../escape');
+      }
+    });
+  });
+});
+
+describe('blobKey', () => {
+  it('is the last segment of a localPath', () => {
+    chai.expect(blobKey('/tmp/files_manager/abc123')).to.equal('abc123');
+  });
+});
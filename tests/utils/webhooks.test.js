@@ -0,0 +1,71 @@
+import chai from 'chai';
+import http from 'http';
+import { createHmac } from 'crypto';
+import { ObjectId } from 'mongodb';
+import dbClient from '../../utils/db';
+import {
+  parseEvents, signPayload, isPrivateAddress, deliver
+} from '../../utils/webhooks';
+
+describe('webhooks', () => {
+  it('signs the timestamp and the body', () => {
+    const expected = createHmac('sha256', 'whsec_test').update('1700000000.{"event":"ping"}').digest('hex');
+    chai.expect(signPayload('whsec_test', 1700000000, '{"event":"ping"}')).to.equal(`sha256=${expected}`);
+    chai.expect(signPayload('whsec_test', 1700000001, '{"event":"ping"}')).to.not.equal(`sha256=${expected}`);
+  });
+
+  it('parses subscribed events', () => {
+    chai.expect(parseEvents(undefined)).to.deep.equal(['*']);
+    chai.expect(parseEvents(['file.moved', 'file.moved'])).to.deep.equal(['file.moved']);
+    chai.expect(() => parseEvents([])).to.throw('Invalid events');
+    chai.expect(() => parseEvents('file.moved')).to.throw('Invalid events');
+  });
+
+  it('recognizes private addresses', () => {
+    ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:7f00:1']
+      .forEach((address) => chai.expect(isPrivateAddress(address)).to.equal(true));
+    ['8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:808:808']
+      .forEach((address) => chai.expect(isPrivateAddress(address)).to.equal(false));
+  });
+
+  it('never connects to private IP literals', async () => {
+    let hits = 0;
+    const server = http.createServer((req, res) => {
+      hits += 1;
+      res.end();
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    const webhook = {
+      _id: new ObjectId(), url: `http://127.0.0.1:${server.address().port}/`, secret: 'whsec_test', events: ['*'],
+    };
+    const delivery = {
+      _id: new ObjectId(), webhookId: webhook._id, event: 'ping', status: 'pending', attempts: [], payload: {},
+    };
+    await dbClient.db.collection('webhooks').insertOne(webhook);
+    await dbClient.db.collection('deliveries').insertOne(delivery);
+
+    let discarded = false;
+    const job = {
+      data: { deliveryId: delivery._id.toString() },
+      attemptsMade: 0,
+      opts: { attempts: 3 },
+      discard: async () => { discarded = true; },
+    };
+    try {
+      await deliver(job);
+      chai.expect.fail('deliver() should have failed');
+    } catch (error) {
+      chai.expect(error.message).to.match(/^Private address refused/);
+    }
+    server.close();
+
+    chai.expect(hits).to.equal(0);
+    chai.expect(discarded).to.equal(true);
+    const { status } = await dbClient.db.collection('deliveries').findOne({ _id: delivery._id });
+    chai.expect(status).to.equal('failed');
+
+    await dbClient.db.collection('webhooks').deleteOne({ _id: webhook._id });
+    await dbClient.db.collection('deliveries').deleteOne({ _id: delivery._id });
+  });
+});
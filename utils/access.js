@@ -0,0 +1,69 @@
+import { ObjectId } from 'mongodb';
+import dbClient from './db';
+
+const ROLES = { viewer: 1, editor: 2, owner: 3 };
+const SHARE_ROLES = ['viewer', 'editor'];
+
+// Parent folders of `file`, closest first, stopping at the root
+async function getAncestors (file) {
+  const ancestors = [];
+  const seen = new Set([file._id.toString()]);
+  let { parentId } = file;
+
+  while (parentId && parentId !== '0' && ObjectId.isValid(parentId) && !seen.has(parentId.toString())) {
+    seen.add(parentId.toString());
+    const parent = await dbClient.files.findOne({ _id: ObjectId(parentId) });
+    if (!parent) break;
+    ancestors.push(parent);
+    ({ parentId } = parent);
+  }
+
+  return ancestors;
+}
+
+// Role on `doc` for a user holding `parentRole` on its folder. Owning one of
+// its folders counts as 'editor', so content others put in a shared folder
+// stays manageable.
+function inheritRole (doc, userId, parentRole = null) {
+  if (!userId) return null;
+  const id = userId.toString();
+  if (doc.userId.toString() === id) return 'owner';
+
+  let role = parentRole === 'owner' ? 'editor' : parentRole;
+  (doc.shares || []).forEach((share) => {
+    if (share.userId.toString() === id && (!role || ROLES[share.role] > ROLES[role])) role = share.role;
+  });
+
+  return role;
+}
+
+// Effective role of a user on a file: 'owner' for the file owner, else the
+// highest role granted on the file or one of its folders
+async function getRole (file, userId) {
+  if (!userId) return null;
+  if (file.userId.toString() === userId.toString()) return 'owner';
+
+  const ancestors = await getAncestors(file);
+  return [...ancestors.reverse(), file].reduce((role, doc) => inheritRole(doc, userId, role), null);
+}
+
+function hasRole (role, required) {
+  return !!role && ROLES[role] >= ROLES[required];
+}
+
+// Loads a live file and checks the user holds at least `required` on it
+async function findAccessible (fileId, userId, required = 'viewer') {
+  if (!ObjectId.isValid(fileId)) return { file: null, role: null };
+
+  const file = await dbClient.files.findOne({ _id: ObjectId(fileId), deletedAt: null });
+  if (!file) return { file: null, role: null };
+
+  const role = await getRole(file, userId);
+  if (!hasRole(role, required)) return { file: null, role };
+
+  return { file, role };
+}
+
+export {
+  SHARE_ROLES, getAncestors, inheritRole, getRole, hasRole, findAccessible
+};
@@ -0,0 +1,102 @@
+import archiver from 'archiver';
+import dbClient from './db';
+import storage, { blobKey } from './storage';
+import { inheritRole } from './access';
+
+// A name is a single path segment inside the archive
+function entryName (name, taken) {
+  let base = String(name).replace(/[/\\]/g, '_');
+  if (base === '' || base === '.' || base === '..') base = '_';
+
+  let unique = base;
+  for (let n = 2; taken.has(unique); n += 1) unique = `${base} (${n})`;
+  taken.add(unique);
+  return unique;
+}
+
+/*
+ * Lists the entries of the archive for `root`, parents first, with their path.
+ * Each entry follows the getFile rules: public, or visible to the user through
+ * ownership or a share. A hidden folder is left out along with its content.
+ */
+async function listEntries (root, userId, rootRole) {
+  const entries = [{ doc: root, path: entryName(root.name, new Set()), role: rootRole }];
+  let parents = root.type === 'folder' ? entries : [];
+
+  while (parents.length) {
+    const ids = parents.map(({ doc }) => doc._id);
+    const children = await dbClient.files
+      .find({ parentId: { $in: [...ids, ...ids.map((id) => id.toString())] }, deletedAt: null })
+      .sort({ name: 1 })
+      .toArray();
+
+    const level = [];
+    parents.forEach((parent) => {
+      const taken = new Set();
+      children
+        .filter((child) => child.parentId.toString() === parent.doc._id.toString())
+        .forEach((child) => {
+          const role = inheritRole(child, userId, parent.role);
+          if (!role && !child.isPublic) return;
+          level.push({ doc: child, path: `${parent.path}/${entryName(child.name, taken)}`, role });
+        });
+    });
+
+    entries.push(...level);
+    parents = level.filter(({ doc }) => doc.type === 'folder');
+  }
+
+  return entries;
+}
+
+// Appends one entry and waits until the archive consumed it, so blobs are
+// opened one at a time
+function appendEntry (archive, source, name) {
+  return new Promise((resolve, reject) => {
+    const onError = (error) => reject(error);
+    archive.once('error', onError);
+    archive.once('entry', () => {
+      archive.removeListener('error', onError);
+      resolve();
+    });
+    archive.append(source, { name });
+  });
+}
+
+// A plain ASCII `filename` for older clients, the exact name in `filename*` (RFC 6266)
+function contentDisposition (name) {
+  const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// Streams a ZIP of `root` and its visible descendants. Blobs missing from
+// storage are skipped.
+async function sendZip (response, root, userId, rootRole) {
+  const entries = await listEntries(root, userId, rootRole);
+
+  const archive = archiver('zip');
+  response.status(200);
+  response.setHeader('Content-Type', 'application/zip');
+  response.setHeader('Content-Disposition', contentDisposition(`${entries[0].path}.zip`));
+  response.setHeader('Cache-Control', 'private, no-cache');
+  archive.pipe(response);
+
+  for (const { doc, path } of entries) {
+    if (doc.type === 'folder') {
+      await appendEntry(archive, null, `${path}/`);
+    } else {
+      let stream = null;
+      try {
+        if (doc.localPath) stream = await storage.get(blobKey(doc.localPath));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      if (stream) await appendEntry(archive, stream, path);
+    }
+  }
+
+  await archive.finalize();
+}
+
+export default sendZip;
@@ -0,0 +1,142 @@
+import { ObjectId } from 'mongodb';
+import dbClient from './db';
+import { requestUser, isValidUser } from './users';
+
+/*
+ * Audited routes, as `<method> <route>` => [action, target]. The target is the
+ * file in `:id`, or the account the request acted on for 'user'. Controllers
+ * fill in what the request alone does not tell through `response.locals.audit`
+ * ({ actorId, targetId, details }), e.g. the account behind a login.
+ */
+const AUDITED_ROUTES = {
+  'GET /connect': ['auth.login', 'user'],
+  'GET /disconnect': ['auth.logout', 'user'],
+  'POST /connect/refresh': ['auth.refresh', 'user'],
+  'POST /users': ['user.create', 'user'],
+  'GET /users/me': ['user.view', 'user'],
+  'POST /users/verify': ['user.verify', 'user'],
+  'POST /users/verify/resend': ['user.resend_verification', 'user'],
+  'POST /users/forgot-password': ['user.forgot_password', 'user'],
+  'POST /users/reset-password': ['user.reset_password', 'user'],
+  'GET /files': ['file.list', null],
+  'GET /files/trash': ['file.list_trash', null],
+  'GET /files/search': ['file.search', null],
+  'GET /files/tags': ['file.list_tags', null],
+  'GET /files/by-path': ['file.lookup', 'file'],
+  'GET /files/copies/:id': ['file.copy_status', null],
+  'GET /files/extractions/:id': ['file.extraction_status', null],
+  'GET /files/:id': ['file.view', 'file'],
+  'GET /files/:id/data': ['file.download', 'file'],
+  'GET /files/:id/versions': ['file.list_versions', 'file'],
+  'GET /files/:id/path': ['file.view_path', 'file'],
+  'POST /files': ['file.upload', 'file'],
+  'POST /files/:id/restore': ['file.restore', 'file'],
+  'POST /files/:id/copy': ['file.copy', 'file'],
+  'POST /files/:id/versions/:n/restore': ['file.restore_version', 'file'],
+  'PATCH /files/:id': ['file.update', 'file'],
+  'PUT /files/:id/publish': ['file.publish', 'file'],
+  'PUT /files/:id/unpublish': ['file.unpublish', 'file'],
+  'PUT /files/:id/data': ['file.replace', 'file'],
+  'DELETE /files/trash': ['file.empty_trash', null],
+  'DELETE /files/trash/:id': ['file.purge', 'file'],
+  'DELETE /files/:id': ['file.delete', 'file']
+};
+
+const AUDIT_ACTIONS = Object.values(AUDITED_ROUTES).map(([action]) => action);
+
+const toId = (id) => (id && isValidUser(id) ? ObjectId(id) : null);
+
+async function recordActivity (request, response) {
+  if (!request.route) return;
+
+  // HEAD requests are answered by the GET routes
+  const method = request.method === 'HEAD' ? 'GET' : request.method;
+  const audited = AUDITED_ROUTES[`${method} ${request.route.path}`];
+  if (!audited) return;
+
+  const [action, targetType] = audited;
+  const audit = response.locals.audit || {};
+
+  const actorId = toId(audit.actorId !== undefined ? audit.actorId : await requestUser(request));
+  let targetId = audit.targetId;
+  if (targetId === undefined) {
+    if (targetType === 'file') targetId = request.params.id;
+    if (targetType === 'user') targetId = actorId;
+  }
+
+  await dbClient.activity.insertOne({
+    action,
+    actorId,
+    targetType: toId(targetId) ? targetType : null,
+    targetId: toId(targetId),
+    outcome: response.writableFinished && response.statusCode < 400 ? 'success' : 'failure',
+    statusCode: response.statusCode,
+    ip: request.ip,
+    userAgent: request.header('User-Agent') || null,
+    details: audit.details || {},
+    createdAt: new Date()
+  });
+}
+
+// Router middleware: appends one entry per audited request once it is answered.
+// Entries are never updated, they only leave the collection through AUDIT_LOG_TTL.
+function auditLog (request, response, next) {
+  response.locals.audit = {};
+  response.on('close', () => {
+    recordActivity(request, response).catch((error) => console.log(`Activity not recorded: ${error.message}`));
+  });
+  next();
+}
+
+function parseDate (value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw Error(`Invalid ${name}`);
+  return date;
+}
+
+// Filters of the activity feeds: action (comma separated, `file.*` for a family),
+// outcome, since and until
+function activityFilters (query) {
+  const filters = [];
+
+  if (query.action !== undefined) {
+    const actions = String(query.action).split(',').flatMap((action) => {
+      const matching = action.endsWith('.*')
+        ? AUDIT_ACTIONS.filter((known) => known.startsWith(action.slice(0, -1)))
+        : AUDIT_ACTIONS.filter((known) => known === action);
+      if (!matching.length) throw Error('Invalid action');
+      return matching;
+    });
+    filters.push({ action: { $in: actions } });
+  }
+
+  if (query.outcome !== undefined) {
+    if (!['success', 'failure'].includes(query.outcome)) throw Error('Invalid outcome');
+    filters.push({ outcome: query.outcome });
+  }
+
+  if (query.since !== undefined) filters.push({ createdAt: { $gte: parseDate(query.since, 'since') } });
+  if (query.until !== undefined) filters.push({ createdAt: { $lt: parseDate(query.until, 'until') } });
+
+  return filters;
+}
+
+function formatActivity (entry) {
+  return {
+    id: entry._id,
+    action: entry.action,
+    actorId: entry.actorId,
+    targetType: entry.targetType,
+    targetId: entry.targetId,
+    outcome: entry.outcome,
+    statusCode: entry.statusCode,
+    ip: entry.ip,
+    userAgent: entry.userAgent,
+    details: entry.details,
+    createdAt: entry.createdAt
+  };
+}
+
+export {
+  AUDIT_ACTIONS, auditLog, activityFilters, formatActivity
+};
@@ -6,6 +6,18 @@ const DB_PORT = process.env.DB_PORT || 27017;
 const DB_DATABASE = process.env.DB_DATABASE || 'files_manager';
 const url = `mongodb://${DB_HOST}:${DB_PORT}`;
 
+// Webhook deliveries are dropped from the log after WEBHOOK_LOG_TTL seconds,
+// audit entries after AUDIT_LOG_TTL seconds
+const WEBHOOK_LOG_TTL = Number(process.env.WEBHOOK_LOG_TTL) || 60 * 60 * 24 * 30;
+const AUDIT_LOG_TTL = Number(process.env.AUDIT_LOG_TTL) || 60 * 60 * 24 * 90;
+
+// An existing TTL index keeps its expiry, so a changed setting is applied with collMod
+function expireAfter(db, name, seconds) {
+  return db.collection(name).createIndex({ createdAt: 1 }, { expireAfterSeconds: seconds })
+    .catch(() => db.command({ collMod: name, index: { keyPattern: { createdAt: 1 }, expireAfterSeconds: seconds } }))
+    .catch((error) => console.log(error.message));
+}
+
 class DBClient {
   constructor() {
     MongoClient.connect(url, { useUnifiedTopology: true }, (err, client) => {
@@ -13,6 +25,23 @@ class DBClient {
         this.db = client.db(DB_DATABASE);
         this.users = this.db.collection('users');
         this.files = this.db.collection('files');
+        this.blobs = this.db.collection('blobs');
+        this.links = this.db.collection('links');
+        this.keys = this.db.collection('keys');
+        this.webhooks = this.db.collection('webhooks');
+        this.deliveries = this.db.collection('deliveries');
+        this.activity = this.db.collection('activity');
+
+        // Backs GET /files/search, `text` is filled in by the worker
+        this.files.createIndex({ name: 'text', text: 'text' }, { name: 'files_text' })
+          .catch((error) => console.log(error.message));
+        expireAfter(this.db, 'deliveries', WEBHOOK_LOG_TTL);
+        expireAfter(this.db, 'activity', AUDIT_LOG_TTL);
+        // Back the activity feeds of users and files
+        this.activity.createIndex({ actorId: 1, _id: -1 })
+          .catch((error) => console.log(error.message));
+        this.activity.createIndex({ targetId: 1, _id: -1 })
+          .catch((error) => console.log(error.message));
       } else {
         console.log(err.message);
         this.db = false;
@@ -26,6 +55,13 @@ class DBClient {
 
   async nbFiles() { return this.files.countDocuments(); }
 
+  async usedBytes() {
+    const [total] = await this.users
+      .aggregate([{ $group: { _id: null, bytes: { $sum: '$usedBytes' } } }])
+      .toArray();
+    return total ? total.bytes : 0;
+  }
+
   async getUser(query) {
     const user = await this.db.collection('users').findOne(query);
     return user;
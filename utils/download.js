@@ -0,0 +1,121 @@
+import { v4 as uuidv4 } from 'uuid';
+import storage, { blobKey } from './storage';
+
+function statEtag (stats) {
+  return `W/"${stats.size.toString(16)}-${stats.mtime.getTime().toString(16)}"`;
+}
+
+// A Range is only honoured when If-Range still designates the stored representation
+function isRangeFresh (request, etag, lastModified) {
+  const ifRange = request.header('If-Range');
+  if (!ifRange) return true;
+
+  if (ifRange.includes('"')) return !etag.startsWith('W/') && ifRange === etag;
+
+  const date = Date.parse(ifRange);
+  return !Number.isNaN(date) && Math.floor(lastModified.getTime() / 1000) <= date / 1000;
+}
+
+async function pipeRange (key, { start, end }, response) {
+  const stream = await storage.get(key, { start, end });
+  return new Promise((resolve, reject) => {
+    stream.on('error', reject);
+    stream.on('end', resolve);
+    stream.pipe(response, { end: false });
+  });
+}
+
+async function sendRanges (key, ranges, response, { size, contentType }) {
+  const boundary = uuidv4().replace(/-/g, '');
+  const heads = ranges.map(({ start, end }, index) => [
+    `${index ? '\r\n' : ''}--${boundary}`,
+    `Content-Type: ${contentType}`,
+    `Content-Range: bytes ${start}-${end}/${size}`,
+    '',
+    ''
+  ].join('\r\n'));
+  const tail = `\r\n--${boundary}--\r\n`;
+
+  const length = heads.reduce((total, head) => total + Buffer.byteLength(head), Buffer.byteLength(tail))
+    + ranges.reduce((total, { start, end }) => total + (end - start + 1), 0);
+
+  response.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+  response.setHeader('Content-Length', length);
+  response.status(206);
+
+  for (let index = 0; index < ranges.length; index += 1) {
+    response.write(heads[index]);
+    await pipeRange(key, ranges[index], response);
+  }
+  response.end(tail);
+}
+
+/*
+ * Streams the blob stored for `localPath` with validators and byte range support.
+ * Answers 304 when the client copy is fresh, 206 for one or several ranges
+ * (multipart/byteranges), 416 for unsatisfiable ranges and 200 otherwise.
+ * Resolves to false when the blob is missing, before anything is sent.
+ * `admit`, when given, is awaited before sending content from the first byte (the
+ * whole blob, or ranges starting at 0) but not for ranges that only resume further
+ * in; when it resolves to false nothing is sent and sendBlob resolves to null.
+ */
+async function sendBlob (request, response, localPath, { contentType, etag, admit }) {
+  const key = blobKey(localPath);
+  const stats = await storage.stat(key);
+  if (!stats) return false;
+
+  const { size, mtime } = stats;
+  const validator = etag || statEtag(stats);
+
+  response.setHeader('Accept-Ranges', 'bytes');
+  response.setHeader('ETag', validator);
+  response.setHeader('Last-Modified', mtime.toUTCString());
+  response.setHeader('Cache-Control', 'private, no-cache');
+
+  if (request.fresh) {
+    response.status(304).end();
+    return true;
+  }
+
+  let ranges = request.header('Range') && isRangeFresh(request, validator, mtime)
+    ? request.range(size, { combine: true })
+    : undefined;
+
+  if (ranges === -1) {
+    response.setHeader('Content-Range', `bytes */${size}`);
+    response.status(416).send({ error: 'Range not satisfiable' });
+    return true;
+  }
+  // Malformed or non-byte ranges are ignored and the whole blob is sent
+  if (ranges === -2 || (ranges && ranges.type !== 'bytes')) ranges = undefined;
+
+  const fromStart = !ranges || ranges.some(({ start }) => start === 0);
+  if (admit && fromStart && !await admit()) return null;
+
+  if (ranges && ranges.length > 1) {
+    await sendRanges(key, ranges, response, { size, contentType });
+    return true;
+  }
+
+  const range = ranges ? ranges[0] : { start: 0, end: size - 1 };
+  response.setHeader('Content-Type', contentType);
+  response.setHeader('Content-Length', size ? range.end - range.start + 1 : 0);
+
+  if (ranges) {
+    response.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    response.status(206);
+  } else {
+    response.status(200);
+  }
+
+  if (request.method === 'HEAD' || !size) {
+    response.end();
+    return true;
+  }
+
+  await pipeRange(key, range, response);
+  response.end();
+  return true;
+}
+
+export default sendBlob;
@@ -0,0 +1,216 @@
+import yauzl from 'yauzl';
+import tar from 'tar-stream';
+import mime from 'mime-types';
+import { tmpdir } from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import { createWriteStream, unlink } from 'fs';
+import { pipeline } from 'stream';
+import { createGunzip } from 'zlib';
+import { promisify } from 'util';
+import dbClient from './db';
+import storage, { blobKey } from './storage';
+import { streamBlob, releaseBlob, readBlob } from './files';
+import { reserveBytes, releaseBytes } from './quota';
+
+const unlinkAsync = promisify(unlink);
+const pipelineAsync = promisify(pipeline);
+
+const ARCHIVE_MAX_ENTRIES = Number(process.env.ARCHIVE_MAX_ENTRIES) || 10000;
+const ARCHIVE_MAX_SIZE = Number(process.env.ARCHIVE_MAX_SIZE) || 1024 * 1024 * 1024;
+const ARCHIVE_MAX_RATIO = Number(process.env.ARCHIVE_MAX_RATIO) || 100;
+
+// Entries smaller than this are not checked for their compression ratio
+const RATIO_MIN_SIZE = 1024 * 1024;
+
+// Splits an entry name into path segments, refusing any that would land
+// outside the target folder (zip-slip)
+function entryPath (name) {
+  const normalized = name.replace(/\\/g, '/');
+  if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) throw Error(`Invalid entry path: ${name}`);
+
+  const segments = normalized.split('/').filter((segment) => segment !== '' && segment !== '.');
+  if (segments.includes('..')) throw Error(`Invalid entry path: ${name}`);
+
+  return segments;
+}
+
+// Resolves with the next entry, or null once the central directory is read
+function nextZipEntry (zip) {
+  return new Promise((resolve, reject) => {
+    let onEntry = null;
+    let onEnd = null;
+    let onError = null;
+    const settle = (callback) => (value) => {
+      zip.removeListener('entry', onEntry);
+      zip.removeListener('end', onEnd);
+      zip.removeListener('error', onError);
+      callback(value);
+    };
+    onEntry = settle(resolve);
+    onEnd = settle(() => resolve(null));
+    onError = settle(reject);
+
+    zip.once('entry', onEntry);
+    zip.once('end', onEnd);
+    zip.once('error', onError);
+    zip.readEntry();
+  });
+}
+
+/*
+ * yauzl needs random access to the central directory, so the archive is copied
+ * to a temporary file rather than read into memory. yauzl checks the actual
+ * sizes against the declared ones while inflating.
+ */
+async function* zipEntries (localPath) {
+  const tmpPath = `${tmpdir()}/archive_${uuidv4()}.zip`;
+  try {
+    await pipelineAsync(await storage.get(blobKey(localPath)), createWriteStream(tmpPath));
+
+    const zip = await promisify(yauzl.open)(tmpPath, { lazyEntries: true, autoClose: false });
+    const openReadStream = promisify(zip.openReadStream.bind(zip));
+    try {
+      for (let entry = await nextZipEntry(zip); entry; entry = await nextZipEntry(zip)) {
+        const directory = entry.fileName.endsWith('/');
+        yield {
+          name: entry.fileName,
+          directory,
+          size: entry.uncompressedSize,
+          compressedSize: entry.compressedSize,
+          open: () => openReadStream(entry)
+        };
+      }
+    } finally {
+      zip.close();
+    }
+  } finally {
+    await unlinkAsync(tmpPath).catch(() => null);
+  }
+}
+
+// Streamed from storage; links and other special entries are skipped
+async function* tarEntries (localPath, gzipped) {
+  const extract = tar.extract();
+  const source = await storage.get(blobKey(localPath));
+  source.on('error', (error) => extract.destroy(error));
+  if (gzipped) source.pipe(createGunzip()).on('error', (error) => extract.destroy(error)).pipe(extract);
+  else source.pipe(extract);
+
+  try {
+    for await (const entry of extract) {
+      const { name, type, size } = entry.header;
+      if (type === 'file' || type === 'directory') {
+        yield {
+          name,
+          directory: type === 'directory',
+          size,
+          compressedSize: null,
+          open: async () => entry
+        };
+      }
+      entry.resume();
+    }
+  } finally {
+    source.destroy();
+  }
+}
+
+// The format is told from the first bytes of the blob
+async function* archiveEntries (localPath) {
+  const header = await readBlob(localPath, { start: 0, end: 261 });
+  if (header.toString('latin1', 0, 2) === 'PK') yield* zipEntries(localPath);
+  else if (header[0] === 0x1f && header[1] === 0x8b) yield* tarEntries(localPath, true);
+  else if (header.toString('latin1', 257, 262) === 'ustar') yield* tarEntries(localPath, false);
+  else throw Error('Unsupported archive format');
+}
+
+/*
+ * Expands the ZIP or tar archive stored at `localPath` into folder and file
+ * documents under `parentId` and returns the created documents. Declared sizes
+ * are checked before any content is read, against the entry count, the total
+ * size and the compression ratio limits, so archive bombs are refused early.
+ * Nothing is kept when the extraction fails.
+ */
+async function extractArchive (localPath, {
+  userId, parentId, isPublic = false, onProgress = () => {}
+}) {
+  const folders = new Map([['', parentId]]);
+  const created = [];
+  let entries = 0;
+  let total = 0;
+
+  const ensureFolder = async (segments) => {
+    for (let i = 1; i <= segments.length; i += 1) {
+      const path = segments.slice(0, i).join('/');
+      if (!folders.has(path)) {
+        const folder = {
+          userId,
+          name: segments[i - 1],
+          type: 'folder',
+          isPublic,
+          parentId: folders.get(segments.slice(0, i - 1).join('/'))
+        };
+        await dbClient.files.insertOne(folder);
+        created.push(folder);
+        folders.set(path, folder._id);
+      }
+    }
+    return folders.get(segments.join('/'));
+  };
+
+  try {
+    for await (const entry of archiveEntries(localPath)) {
+      entries += 1;
+      if (entries > ARCHIVE_MAX_ENTRIES) throw Error('Too many entries in archive');
+
+      const segments = entryPath(entry.name);
+      if (segments.length && entry.directory) {
+        await ensureFolder(segments);
+      } else if (segments.length) {
+        if (total + entry.size > ARCHIVE_MAX_SIZE) throw Error('Archive too large');
+        if (entry.compressedSize !== null && entry.size > RATIO_MIN_SIZE
+          && entry.size / Math.max(entry.compressedSize, 1) > ARCHIVE_MAX_RATIO) {
+          throw Error('Archive compression ratio too high');
+        }
+
+        const folderId = await ensureFolder(segments.slice(0, -1));
+        const blob = await streamBlob(await entry.open());
+        total += blob.size;
+
+        if (!await reserveBytes(userId, blob.size)) {
+          await releaseBlob(blob);
+          throw Error('Quota exceeded');
+        }
+
+        const name = segments[segments.length - 1];
+        const file = {
+          userId,
+          name,
+          type: (mime.lookup(name) || '').startsWith('image/') ? 'image' : 'file',
+          isPublic,
+          parentId: folderId,
+          ...blob,
+          version: 1,
+          versions: [{ version: 1, ...blob, createdAt: new Date() }]
+        };
+        await dbClient.files.insertOne(file);
+        created.push(file);
+      }
+
+      await onProgress(entries);
+    }
+  } catch (error) {
+    for (const doc of created) {
+      if (doc.type !== 'folder') {
+        await releaseBlob(doc);
+        await releaseBytes(userId, doc.size);
+      }
+    }
+    await dbClient.files.deleteMany({ _id: { $in: created.map((doc) => doc._id) } });
+    throw error;
+  }
+
+  return created;
+}
+
+export { entryPath, extractArchive };
@@ -0,0 +1,304 @@
+import { ObjectId } from 'mongodb';
+import { v4 as uuidv4 } from 'uuid';
+import { createHash } from 'crypto';
+import {
+  mkdir, writeFile, unlink, createWriteStream
+} from 'fs';
+import { Transform, pipeline } from 'stream';
+import { promisify } from 'util';
+import dbClient from './db';
+import storage, { blobKey } from './storage';
+import { reserveBytes, releaseBytes } from './quota';
+
+const mkdirAsync = promisify(mkdir);
+const writeFileAsync = promisify(writeFile);
+const unlinkAsync = promisify(unlink);
+const pipelineAsync = promisify(pipeline);
+
+const THUMBNAIL_SIZES = [500, 250, 100];
+
+// Documents at the top of a trashed subtree carry their own id as trashId
+const trashRootMatch = { $expr: { $eq: ['$_id', '$trashId'] } };
+
+// Uploads land on a temporary path until their hash is known
+function blobPath () {
+  const dir = process.env.FOLDER_PATH || '/tmp/files_manager';
+  return { dir, localPath: `${dir}/${uuidv4()}` };
+}
+
+/*
+ * Stores the content at `tmpPath` under its SHA-256 and takes a reference on it.
+ * Content already stored keeps its blob (and its thumbnails), the copy is dropped.
+ */
+async function commitBlob (tmpPath, size, checksum) {
+  const dir = process.env.FOLDER_PATH || '/tmp/files_manager';
+  const localPath = `${dir}/${checksum}`;
+
+  const { value } = await dbClient.blobs.findOneAndUpdate(
+    { _id: checksum },
+    { $inc: { refCount: 1 }, $setOnInsert: { localPath, size, createdAt: new Date() } },
+    { upsert: true, returnOriginal: true }
+  );
+
+  if (value) {
+    // A record that outlived its blob (e.g. a wiped storage) gets the new copy
+    if (await storage.exists(blobKey(value.localPath))) await unlinkAsync(tmpPath).catch(() => null);
+    else await storage.putFile(blobKey(value.localPath), tmpPath);
+    return { localPath: value.localPath, size, checksum };
+  }
+
+  try {
+    await storage.putFile(checksum, tmpPath);
+  } catch (error) {
+    await dbClient.blobs.deleteOne({ _id: checksum });
+    throw error;
+  }
+  return { localPath, size, checksum };
+}
+
+async function writeBlob (data) {
+  const { dir, localPath } = blobPath();
+
+  await mkdirAsync(dir, { recursive: true });
+  await writeFileAsync(localPath, data);
+
+  return commitBlob(localPath, data.length, createHash('sha256').update(data).digest('hex'));
+}
+
+/*
+ * Pipes `readable` to a new blob, measuring its size and SHA-256 on the way through.
+ * Past `limit` bytes nothing more is written and the rest is drained, so the request
+ * can still be answered; the blob is then dropped and the error has code 'EQUOTA'.
+ */
+async function streamBlob (readable, { limit = Infinity } = {}) {
+  const { dir, localPath } = blobPath();
+  const hash = createHash('sha256');
+  let size = 0;
+
+  const meter = new Transform({
+    transform (chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > limit) return callback();
+      hash.update(chunk);
+      return callback(null, chunk);
+    }
+  });
+
+  await mkdirAsync(dir, { recursive: true });
+  try {
+    await pipelineAsync(readable, meter, createWriteStream(localPath));
+  } catch (error) {
+    await unlinkAsync(localPath).catch(() => null);
+    throw error;
+  }
+
+  if (size > limit) {
+    await unlinkAsync(localPath).catch(() => null);
+    const exceeded = Error('Quota exceeded');
+    exceeded.code = 'EQUOTA';
+    throw exceeded;
+  }
+
+  return commitBlob(localPath, size, hash.digest('hex'));
+}
+
+// Documents created before versioning only have a localPath, which is their version 1
+function getVersions (file) {
+  if (file.versions) return file.versions;
+  if (!file.localPath) return [];
+  return [{ version: 1, localPath: file.localPath }];
+}
+
+async function readBlob (localPath, range) {
+  const stream = await storage.get(blobKey(localPath), range);
+  const chunks = [];
+
+  return new Promise((resolve, reject) => {
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+async function removeBlob (localPath) {
+  if (!localPath) return;
+
+  const key = blobKey(localPath);
+  const keys = [key, ...THUMBNAIL_SIZES.map((size) => `${key}_${size}`)];
+  await Promise.all(keys.map((name) => storage.delete(name).catch(() => null)));
+}
+
+// Takes one more reference on a stored blob, e.g. for a version rolled back to
+async function retainBlob ({ localPath, checksum }) {
+  if (!checksum) return;
+  await dbClient.blobs.updateOne({ _id: checksum, localPath }, { $inc: { refCount: 1 } });
+}
+
+// Drops one reference and removes the blob once no document points to it anymore.
+// Blobs stored before deduplication have no entry in `blobs` and go right away.
+async function releaseBlob ({ localPath, checksum }) {
+  const { value } = checksum
+    ? await dbClient.blobs.findOneAndUpdate(
+      { _id: checksum, localPath },
+      { $inc: { refCount: -1 } },
+      { returnOriginal: false }
+    )
+    : { value: null };
+
+  if (!value) {
+    await removeBlob(localPath);
+    return;
+  }
+  if (value.refCount > 0) return;
+
+  const { deletedCount } = await dbClient.blobs.deleteOne({ _id: checksum, refCount: { $lte: 0 } });
+  if (deletedCount) await removeBlob(localPath);
+}
+
+// Walks the parentId links below `file` and returns it with all its live descendants.
+// parentId is stored either as an ObjectId or as its string form, so both are matched.
+async function getSubtree (file) {
+  const subtree = [file];
+  let parents = file.type === 'folder' ? [file._id] : [];
+
+  while (parents.length) {
+    const parentIds = [...parents, ...parents.map((id) => id.toString())];
+    const children = await dbClient.files
+      .find({ parentId: { $in: parentIds }, deletedAt: null })
+      .toArray();
+
+    subtree.push(...children);
+    parents = children.filter((child) => child.type === 'folder').map((child) => child._id);
+  }
+
+  return subtree;
+}
+
+/*
+ * Copies a subtree returned by getSubtree() under `parentId`, owned by `userId`, and
+ * returns the new documents, root first. Copies start a new history from the current
+ * version and share its blob, thumbnails included; blobs stored before deduplication
+ * are streamed into a new one instead. The whole size is reserved upfront and what
+ * was not copied is given back if the copy fails midway.
+ */
+async function copyTree (subtree, parentId, userId, onProgress = () => {}) {
+  const size = subtree.reduce((sum, doc) => sum + (doc.size || 0), 0);
+  if (!await reserveBytes(userId, size)) throw Error('Quota exceeded');
+
+  const ids = new Map();
+  const copies = [];
+  let copied = 0;
+
+  try {
+    for (const doc of subtree) {
+      const copy = {
+        userId,
+        name: doc.name,
+        type: doc.type,
+        isPublic: doc.isPublic,
+        parentId: copies.length ? ids.get(doc.parentId.toString()) : parentId,
+        tags: doc.tags || [],
+        metadata: doc.metadata || {}
+      };
+
+      if (doc.type !== 'folder') {
+        let blob = { localPath: doc.localPath, size: doc.size, checksum: doc.checksum };
+        if (blob.checksum) await retainBlob(blob);
+        else blob = await streamBlob(await storage.get(blobKey(doc.localPath)));
+
+        Object.assign(copy, blob, { version: 1, versions: [{ version: 1, ...blob, createdAt: new Date() }] });
+        if (doc.text !== undefined) copy.text = doc.text;
+      }
+
+      await dbClient.files.insertOne(copy);
+      ids.set(doc._id.toString(), copy._id);
+      copies.push(copy);
+      copied += doc.size || 0;
+      await onProgress(copies.length, subtree.length);
+    }
+  } catch (error) {
+    await releaseBytes(userId, size - copied);
+    throw error;
+  }
+
+  return copies;
+}
+
+async function trashFile (file) {
+  const subtree = await getSubtree(file);
+  const ids = subtree.map((doc) => doc._id);
+
+  await dbClient.files.updateMany(
+    { _id: { $in: ids } },
+    { $set: { deletedAt: new Date(), trashId: file._id } }
+  );
+
+  return ids.length;
+}
+
+async function restoreFile (file) {
+  const update = { $unset: { deletedAt: '', trashId: '' } };
+  await dbClient.files.updateMany({ trashId: file._id }, update);
+
+  // An item whose folder is gone or still in the trash goes back to the root
+  if (file.parentId && file.parentId !== '0') {
+    const parent = ObjectId.isValid(file.parentId)
+      ? await dbClient.files.findOne({ _id: ObjectId(file.parentId), deletedAt: null })
+      : null;
+    if (!parent) await dbClient.files.updateOne({ _id: file._id }, { $set: { parentId: 0 } });
+  }
+
+  return dbClient.files.findOne({ _id: file._id });
+}
+
+async function purgeFile (file) {
+  const docs = await dbClient.files.find({ trashId: file._id }).toArray();
+
+  // Every version holds its own reference and counts in its owner usage,
+  // including the ones sharing a blob
+  for (const doc of docs) {
+    let size = 0;
+    for (const version of getVersions(doc)) {
+      await releaseBlob(version);
+      size += version.size || 0;
+    }
+    await releaseBytes(doc.userId, size);
+  }
+  await dbClient.files.deleteMany({ trashId: file._id });
+  await dbClient.links.deleteMany({ fileId: { $in: docs.map((doc) => doc._id) } });
+
+  return docs.length;
+}
+
+async function purgeExpired (maxAge) {
+  const cutoff = new Date(Date.now() - maxAge);
+  const expired = await dbClient.files
+    .find({ ...trashRootMatch, deletedAt: { $lt: cutoff } })
+    .toArray();
+
+  for (const file of expired) {
+    await purgeFile(file);
+  }
+
+  return expired.length;
+}
+
+export {
+  THUMBNAIL_SIZES,
+  trashRootMatch,
+  blobPath,
+  commitBlob,
+  writeBlob,
+  streamBlob,
+  getVersions,
+  readBlob,
+  removeBlob,
+  retainBlob,
+  releaseBlob,
+  getSubtree,
+  copyTree,
+  trashFile,
+  restoreFile,
+  purgeFile,
+  purgeExpired
+};
@@ -0,0 +1,140 @@
+import { ObjectId } from 'mongodb';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import dbClient from './db';
+import { getAncestors } from './access';
+
+const KEY_PREFIX = 'fmk_';
+const KEY_SCOPES = ['read', 'upload', 'write'];
+
+// 'write' covers everything 'upload' does
+const IMPLIED_SCOPES = { write: ['upload'] };
+
+/*
+ * What an API key may call, as `[scope, ...files]` per route. The files are where
+ * the route finds what it acts on, checked against keys limited to a folder:
+ * a missing `parentId` is the root, unless marked optional with '?'. Upload
+ * `fields` are only known once the body is read, so they are left to the
+ * controller, which checks them again with the parsed fields. Routes acting on
+ * no file in particular list none, and `null` marks routes reaching outside any
+ * folder. Routes not listed here, such as managing keys and
+ * sessions, only accept session tokens.
+ */
+const ROUTE_SCOPES = {
+  'GET /users/me': ['read'],
+  'GET /files': ['read', 'query.parentId'],
+  'GET /files/trash': ['read', null],
+  'GET /files/shared-with-me': ['read', null],
+  'GET /files/search': ['read', null],
+  'GET /files/tags': ['read', null],
+  'GET /files/by-path': ['read', null],
+  'GET /files/copies/:id': ['read'],
+  'GET /files/extractions/:id': ['read'],
+  'GET /files/:id': ['read', 'params.id'],
+  'GET /files/:id/data': ['read', 'params.id'],
+  'GET /files/:id/versions': ['read', 'params.id'],
+  'GET /files/:id/path': ['read', 'params.id'],
+  'GET /files/:id/links': ['read', 'params.id'],
+  'GET /files/:id/shares': ['read', 'params.id'],
+  'POST /files': ['upload', 'fields.parentId'],
+  'POST /files/uploads': ['upload', 'body.parentId'],
+  'POST /files/uploads/:id/complete': ['upload'],
+  'HEAD /files/uploads/:id': ['upload'],
+  'PATCH /files/uploads/:id': ['upload'],
+  'DELETE /files/uploads/:id': ['upload'],
+  'POST /files/:id/restore': ['write', 'params.id'],
+  'POST /files/:id/copy': ['write', 'params.id', 'body.parentId'],
+  'POST /files/:id/versions/:n/restore': ['write', 'params.id'],
+  'POST /files/:id/links': ['write', 'params.id'],
+  'POST /files/:id/shares': ['write', 'params.id'],
+  'PATCH /files/:id': ['write', 'params.id', 'body.parentId?'],
+  'PUT /files/:id/publish': ['write', 'params.id'],
+  'PUT /files/:id/unpublish': ['write', 'params.id'],
+  'PUT /files/:id/data': ['write', 'params.id'],
+  'DELETE /files/trash': ['write', null],
+  'DELETE /files/trash/:id': ['write', 'params.id'],
+  'DELETE /files/:id/links/:linkId': ['write', 'params.id'],
+  'DELETE /files/:id/shares/:userId': ['write', 'params.id'],
+  'DELETE /files/:id': ['write', 'params.id']
+};
+
+const digest = (value) => createHash('sha256').update(String(value)).digest();
+
+function isApiKey (token) {
+  return String(token).startsWith(KEY_PREFIX);
+}
+
+function parseScopes (value) {
+  const scopes = Array.isArray(value) ? value : String(value || '').split(',');
+  const unique = [...new Set(scopes.map((scope) => String(scope).trim()))];
+  if (!unique.length || unique.some((scope) => !KEY_SCOPES.includes(scope))) throw Error('Invalid scopes');
+  return unique;
+}
+
+// The secret is only returned here; keys store its digest
+function keyToken (key) {
+  const secret = randomBytes(32).toString('hex');
+  return { token: `${KEY_PREFIX}${key._id}_${secret}`, hash: digest(secret).toString('hex') };
+}
+
+async function findApiKey (token) {
+  const value = String(token).slice(KEY_PREFIX.length);
+  const index = value.indexOf('_');
+  const id = value.slice(0, index);
+  if (index < 0 || !ObjectId.isValid(id)) return null;
+
+  const key = await dbClient.keys.findOne({ _id: ObjectId(id), revokedAt: null });
+  if (!key || (key.expiresAt && key.expiresAt.getTime() <= Date.now())) return null;
+  if (!timingSafeEqual(digest(value.slice(index + 1)), Buffer.from(key.hash, 'hex'))) return null;
+
+  return key;
+}
+
+// Whether the file `id` is the folder of the key or sits somewhere below it
+async function inFolder (key, id) {
+  if (!id || id === '0' || !ObjectId.isValid(id)) return false;
+
+  const file = await dbClient.files.findOne({ _id: ObjectId(id) });
+  if (!file) return false;
+
+  return [file, ...await getAncestors(file)].some((doc) => doc._id.equals(key.folderId));
+}
+
+async function keyAllows (key, request, fields) {
+  const path = `${request.method} ${request.baseUrl}${request.route ? request.route.path : ''}`;
+  const rule = ROUTE_SCOPES[path] || (request.method === 'HEAD' && ROUTE_SCOPES[path.replace(/^HEAD/, 'GET')]);
+  if (!rule) return false;
+
+  const [scope, ...files] = rule;
+  const granted = key.scopes.flatMap((s) => [s, ...(IMPLIED_SCOPES[s] || [])]);
+  if (!granted.includes(scope)) return false;
+  if (!key.folderId) return true;
+
+  for (const source of files) {
+    if (source === null) return false;
+
+    const optional = source.endsWith('?');
+    const [from, name] = source.replace('?', '').split('.');
+    if (from === 'fields' && !fields) continue;
+
+    const id = ((from === 'fields' ? fields : request[from]) || {})[name];
+    if (!(optional && id === undefined) && !await inFolder(key, id)) return false;
+  }
+
+  return true;
+}
+
+function formatKey (key) {
+  return {
+    id: key._id,
+    name: key.name,
+    scopes: key.scopes,
+    folderId: key.folderId,
+    expiresAt: key.expiresAt,
+    lastUsedAt: key.lastUsedAt,
+    createdAt: key.createdAt
+  };
+}
+
+export {
+  KEY_SCOPES, isApiKey, parseScopes, keyToken, findApiKey, keyAllows, formatKey
+};
@@ -0,0 +1,46 @@
+import { ObjectId } from 'mongodb';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import dbClient from './db';
+
+const LINK_DEFAULT_TTL = Number(process.env.LINK_DEFAULT_TTL) || 60 * 60 * 24 * 7;
+
+const digest = (value) => createHash('sha256').update(String(value)).digest();
+
+// Tokens carry the link id and a random secret; links store its digest, so the
+// token is only ever returned here
+function linkToken (link) {
+  const secret = randomBytes(32).toString('hex');
+  return { token: `${link._id}.${secret}`, hash: digest(secret).toString('hex') };
+}
+
+async function findLink (token) {
+  const [id, secret] = String(token).split('.');
+  if (!secret || !ObjectId.isValid(id)) return null;
+
+  const link = await dbClient.links.findOne({ _id: ObjectId(id), revokedAt: null });
+  if (!link || !link.hash) return null;
+  if (!timingSafeEqual(digest(secret), Buffer.from(link.hash, 'hex'))) return null;
+
+  return link;
+}
+
+function isExpired (link) {
+  return link.expiresAt.getTime() <= Date.now();
+}
+
+// Takes one download off the link budget, resolves to false once it is spent
+async function countDownload (link) {
+  const query = { _id: link._id };
+  if (link.maxDownloads) query.downloads = { $lt: link.maxDownloads };
+
+  const { modifiedCount } = await dbClient.links.updateOne(query, { $inc: { downloads: 1 } });
+  return modifiedCount === 1;
+}
+
+export {
+  LINK_DEFAULT_TTL,
+  linkToken,
+  findLink,
+  isExpired,
+  countDownload
+};
@@ -0,0 +1,122 @@
+import { ObjectId } from 'mongodb';
+
+const PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = Number(process.env.MAX_PAGE_SIZE) || 100;
+
+// The creation date of a document is the time in its _id
+const SORT_FIELDS = {
+  name: 'name', date: '_id', size: 'size', type: 'type'
+};
+
+// Type of the sort key carried by cursors, dates page on _id alone
+const KEY_TYPES = { name: 'string', size: 'number', type: 'string' };
+
+// URL-safe base64, which Node decodes as plain base64
+function encodeCursor (cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function decodeCursor (value) {
+  try {
+    return JSON.parse(Buffer.from(String(value), 'base64').toString());
+  } catch (error) {
+    throw Error('Invalid cursor');
+  }
+}
+
+// The key goes into a $match, so it must be a plain value of the sort field's type
+function isValidKey (sort, key) {
+  if (!KEY_TYPES[sort]) return key === undefined;
+  if (typeof key !== KEY_TYPES[sort]) return false;
+  return typeof key !== 'number' || Number.isFinite(key);
+}
+
+// Reads sort, order, limit and cursor (or the older page) from the query string
+function parseListing (query) {
+  const sort = query.sort || 'date';
+  if (!Object.prototype.hasOwnProperty.call(SORT_FIELDS, sort)) throw Error('Invalid sort');
+
+  const order = query.order || 'asc';
+  if (!['asc', 'desc'].includes(order)) throw Error('Invalid order');
+
+  const limit = query.limit === undefined ? PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) throw Error('Invalid limit');
+
+  // A cursor only continues the listing it was issued for
+  let after = null;
+  if (query.cursor) {
+    after = decodeCursor(query.cursor);
+    if (!after || after.sort !== sort || after.order !== order) throw Error('Invalid cursor');
+    if (typeof after.id !== 'string' || !ObjectId.isValid(after.id) || !isValidKey(sort, after.key)) throw Error('Invalid cursor');
+  }
+
+  const page = Number(query.page) || 0;
+
+  return {
+    sort, order, limit, after, page
+  };
+}
+
+function listingFilters (query) {
+  const filters = [];
+
+  if (query.type !== undefined) {
+    if (!['folder', 'file', 'image'].includes(query.type)) throw Error('Invalid type');
+    filters.push({ type: query.type });
+  }
+
+  if (query.isPublic !== undefined) {
+    if (!['true', 'false'].includes(query.isPublic)) throw Error('Invalid isPublic');
+    filters.push({ isPublic: query.isPublic === 'true' });
+  }
+
+  return filters;
+}
+
+/*
+ * Aggregation stages returning one page after the $match, plus one extra document
+ * telling whether a next page exists. Pages are keyed on (sort key, _id) so they
+ * stay consistent while documents are added or removed; folders have no size and
+ * sort as 0.
+ */
+function pageStages ({
+  sort, order, limit, after, page
+}) {
+  const field = SORT_FIELDS[sort];
+  const dir = order === 'asc' ? 1 : -1;
+  const op = dir === 1 ? '$gt' : '$lt';
+  const stages = [];
+
+  if (field !== '_id') stages.push({ $addFields: { sortKey: { $ifNull: [`$${field}`, field === 'size' ? 0 : ''] } } });
+
+  if (after) {
+    const id = ObjectId(after.id);
+    if (field === '_id') {
+      stages.push({ $match: { _id: { [op]: id } } });
+    } else {
+      stages.push({ $match: { $or: [{ sortKey: { [op]: after.key } }, { sortKey: after.key, _id: { [op]: id } }] } });
+    }
+  }
+
+  stages.push({ $sort: field === '_id' ? { _id: dir } : { sortKey: dir, _id: dir } });
+  if (!after && page) stages.push({ $skip: page * limit });
+  stages.push({ $limit: limit + 1 });
+
+  return stages;
+}
+
+function nextCursor (docs, { sort, order, limit }) {
+  if (docs.length <= limit) return null;
+
+  const last = docs[limit - 1];
+  return encodeCursor({
+    sort, order, key: last.sortKey, id: last._id.toString()
+  });
+}
+
+export {
+  parseListing, listingFilters, pageStages, nextCursor
+};
@@ -0,0 +1,17 @@
+/*
+ * Interface every mail transport implements. Messages are plain objects:
+ * { from, to, subject, text }.
+ *
+ * - send(message): resolves once the message is handed over
+ */
+class MailTransport {
+  constructor (options = {}) {
+    this.from = options.from || process.env.MAIL_FROM || 'Files Manager <no-reply@localhost>';
+  }
+
+  async send () {
+    throw new Error(`${this.constructor.name} does not implement send`);
+  }
+}
+
+export default MailTransport;
@@ -0,0 +1,18 @@
+import OutboxTransport from './outbox';
+import SmtpTransport from './smtp';
+
+const transports = {
+  outbox: OutboxTransport,
+  smtp: SmtpTransport
+};
+
+function createTransport (name = process.env.MAIL_DRIVER || 'outbox', options = {}) {
+  const Transport = transports[name];
+  if (!Transport) throw new Error(`Unknown mail transport: ${name}`);
+  return new Transport(options);
+}
+
+const mailer = createTransport();
+
+export { transports, createTransport };
+export default mailer;
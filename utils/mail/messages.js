@@ -0,0 +1,36 @@
+import { TOKEN_TTLS } from '../tokens';
+
+function verifyMessage (user, token) {
+  return {
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: [
+      'Welcome to Files Manager!',
+      '',
+      'Confirm your email address by sending this token to POST /users/verify:',
+      '',
+      token,
+      '',
+      `The token expires in ${Math.round(TOKEN_TTLS.verify / 3600)} hours.`
+    ].join('\n')
+  };
+}
+
+function resetMessage (user, token) {
+  return {
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      'Someone asked to reset the password of your Files Manager account.',
+      '',
+      'Send this token with your new password to POST /users/reset-password:',
+      '',
+      token,
+      '',
+      `The token can be used once and expires in ${Math.round(TOKEN_TTLS.reset / 60)} minutes.`,
+      'If you did not ask for it, you can ignore this message.'
+    ].join('\n')
+  };
+}
+
+export { verifyMessage, resetMessage };
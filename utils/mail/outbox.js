@@ -0,0 +1,26 @@
+import { mkdir, writeFile } from 'fs';
+import { promisify } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import MailTransport from './driver';
+
+const mkdirAsync = promisify(mkdir);
+const writeFileAsync = promisify(writeFile);
+
+// Writes each message as a JSON file instead of sending it, for local setups and tests
+class OutboxTransport extends MailTransport {
+  constructor (options = {}) {
+    super(options);
+    this.root = options.root || process.env.MAIL_OUTBOX_PATH
+      || `${process.env.FOLDER_PATH || '/tmp/files_manager'}/outbox`;
+  }
+
+  async send (message) {
+    const mail = { from: this.from, ...message, date: new Date() };
+
+    await mkdirAsync(this.root, { recursive: true });
+    await writeFileAsync(`${this.root}/${Date.now()}-${uuidv4()}.json`, JSON.stringify(mail, null, 2));
+    return mail;
+  }
+}
+
+export default OutboxTransport;
@@ -0,0 +1,27 @@
+import MailTransport from './driver';
+
+// Sends through an SMTP relay; STARTTLS is used whenever the server offers it
+class SmtpTransport extends MailTransport {
+  constructor (options = {}) {
+    super(options);
+    const port = Number(options.port || process.env.SMTP_PORT) || 587;
+    const user = options.user || process.env.SMTP_USER;
+
+    // Loaded here, so that setups mailing through the outbox do not need nodemailer
+    const nodemailer = require('nodemailer');
+    this.transporter = nodemailer.createTransport({
+      host: options.host || process.env.SMTP_HOST || 'localhost',
+      port,
+      secure: port === 465,
+      auth: user ? { user, pass: options.password || process.env.SMTP_PASSWORD } : undefined
+    });
+  }
+
+  async send (message) {
+    const mail = { from: this.from, ...message };
+    await this.transporter.sendMail(mail);
+    return mail;
+  }
+}
+
+export default SmtpTransport;
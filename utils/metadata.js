@@ -0,0 +1,67 @@
+const MAX_TAGS = 50;
+const MAX_TAG_LENGTH = 64;
+const MAX_KEYS = 50;
+const MAX_VALUE_LENGTH = 1024;
+
+// Keys end up in MongoDB paths (`metadata.<key>`), so they are kept to a safe set
+const KEY_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Form fields arrive as strings: tags may be comma separated and metadata JSON encoded
+function parseTags (value) {
+  let tags = value;
+  if (typeof tags === 'string') tags = tags.split(',');
+  if (!Array.isArray(tags)) throw Error('Invalid tags');
+
+  const unique = new Set();
+  tags.forEach((tag) => {
+    if (typeof tag !== 'string') throw Error('Invalid tags');
+    const trimmed = tag.trim();
+    if (trimmed.length > MAX_TAG_LENGTH) throw Error('Invalid tags');
+    if (trimmed) unique.add(trimmed);
+  });
+  if (unique.size > MAX_TAGS) throw Error('Invalid tags');
+
+  return [...unique];
+}
+
+// Values are stored as strings, so filters compare them exactly
+function parseMetadata (value) {
+  let metadata = value;
+  if (typeof metadata === 'string') {
+    try {
+      metadata = JSON.parse(metadata);
+    } catch (error) {
+      throw Error('Invalid metadata');
+    }
+  }
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) throw Error('Invalid metadata');
+
+  const entries = Object.entries(metadata);
+  if (entries.length > MAX_KEYS) throw Error('Invalid metadata');
+
+  return entries.reduce((result, [key, val]) => {
+    if (!KEY_PATTERN.test(key) || !['string', 'number', 'boolean'].includes(typeof val)) throw Error('Invalid metadata');
+    if (String(val).length > MAX_VALUE_LENGTH) throw Error('Invalid metadata');
+    return { ...result, [key]: String(val) };
+  }, {});
+}
+
+// Conditions for `?tag=a&tag=b` (all required) and `?metadata[key]=value`
+function metadataFilters (query) {
+  const filters = [];
+
+  if (query.tag !== undefined) {
+    const tags = parseTags(Array.isArray(query.tag) ? query.tag : [query.tag]);
+    if (tags.length) filters.push({ tags: { $all: tags } });
+  }
+
+  if (query.metadata !== undefined) {
+    Object.entries(parseMetadata(query.metadata)).forEach(([key, val]) => {
+      filters.push({ [`metadata.${key}`]: val });
+    });
+  }
+
+  return filters;
+}
+
+export { parseTags, parseMetadata, metadataFilters };
@@ -0,0 +1,94 @@
+import sha1 from 'sha1';
+import { promisify } from 'util';
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+
+const scryptAsync = promisify(scrypt);
+
+// Current scrypt parameters, N = 2^SCRYPT_COST. Hashes made with other
+// parameters keep working and are upgraded on the next login
+const SCRYPT_COST = Number(process.env.SCRYPT_COST) || 15;
+const SCRYPT_BLOCK_SIZE = Number(process.env.SCRYPT_BLOCK_SIZE) || 8;
+const SCRYPT_PARALLELIZATION = Number(process.env.SCRYPT_PARALLELIZATION) || 1;
+const KEY_LENGTH = 32;
+
+const PASSWORD_MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH) || 8;
+const PASSWORD_MAX_LENGTH = 256;
+
+const COMMON_PASSWORDS = [
+  'password', 'password1', 'password123', '12345678', '123456789', '1234567890',
+  'qwertyuiop', 'qwerty123', 'iloveyou', 'sunshine', 'princess', 'football',
+  'baseball', 'welcome1', 'letmein1', 'admin123', 'abc12345', 'trustno1'
+];
+
+const safeEqual = (a, b) => a.length === b.length && timingSafeEqual(a, b);
+
+function derive (password, salt, { ln, r, p }) {
+  const N = 2 ** ln;
+  return scryptAsync(String(password), salt, KEY_LENGTH, {
+    N, r, p, maxmem: 256 * N * r
+  });
+}
+
+/*
+ * Hashes are stored as `$scrypt$ln=<log2 N>,r=<r>,p=<p>$<salt>$<hash>` (base64),
+ * so each one carries the parameters it was made with.
+ */
+async function hashPassword (password) {
+  const params = { ln: SCRYPT_COST, r: SCRYPT_BLOCK_SIZE, p: SCRYPT_PARALLELIZATION };
+  const salt = randomBytes(16);
+  const hash = await derive(password, salt, params);
+
+  return `$scrypt$ln=${params.ln},r=${params.r},p=${params.p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+function parseHash (stored) {
+  const [, algorithm, settings, salt, hash] = String(stored).split('$');
+  if (algorithm !== 'scrypt' || !salt || !hash) return null;
+
+  const params = Object.fromEntries(settings.split(',').map((pair) => pair.split('=')).map(([k, v]) => [k, Number(v)]));
+  return { params, salt: Buffer.from(salt, 'base64'), hash: Buffer.from(hash, 'base64') };
+}
+
+// Also accepts the unsalted SHA-1 digests of older accounts
+async function verifyPassword (password, stored) {
+  if (!stored) return false;
+
+  if (/^[0-9a-f]{40}$/.test(stored)) {
+    return safeEqual(Buffer.from(sha1(String(password))), Buffer.from(stored));
+  }
+
+  const parsed = parseHash(stored);
+  if (!parsed) return false;
+  return safeEqual(await derive(password, parsed.salt, parsed.params), parsed.hash);
+}
+
+// Whether a stored hash predates the current algorithm or parameters
+function needsRehash (stored) {
+  const parsed = parseHash(stored);
+  if (!parsed) return true;
+
+  const { ln, r, p } = parsed.params;
+  return ln !== SCRYPT_COST || r !== SCRYPT_BLOCK_SIZE || p !== SCRYPT_PARALLELIZATION;
+}
+
+// Returns why a new password is refused, or null when it is strong enough
+function checkStrength (password, email = '') {
+  if (typeof password !== 'string') return 'Invalid password';
+  if (password.length < PASSWORD_MIN_LENGTH) return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  if (password.length > PASSWORD_MAX_LENGTH) return `Password must be at most ${PASSWORD_MAX_LENGTH} characters`;
+
+  const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/].filter((pattern) => pattern.test(password));
+  if (classes.length < 2) return 'Password must mix letters, digits or symbols';
+
+  const lower = password.toLowerCase();
+  if (COMMON_PASSWORDS.includes(lower)) return 'Password is too common';
+
+  const local = String(email).split('@')[0].toLowerCase();
+  if (local.length >= 3 && lower.includes(local)) return 'Password must not contain the email';
+
+  return null;
+}
+
+export {
+  hashPassword, verifyPassword, needsRehash, checkStrength
+};
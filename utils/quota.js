@@ -0,0 +1,44 @@
+import dbClient from './db';
+
+const DEFAULT_QUOTA = Number(process.env.DEFAULT_QUOTA) || 1024 * 1024 * 1024;
+
+// A `quota` set on the user document overrides the default
+function getQuota (user) {
+  return typeof user.quota === 'number' ? user.quota : DEFAULT_QUOTA;
+}
+
+function getUsage (user) {
+  const used = user.usedBytes || 0;
+  const quota = getQuota(user);
+  return { used, quota, available: Math.max(0, quota - used) };
+}
+
+// Adds `size` to the user usage, unless it would go over the quota
+async function reserveBytes (userId, size) {
+  const user = await dbClient.users.findOne({ _id: userId });
+  if (!user) return false;
+
+  const limit = getQuota(user) - size;
+  if (limit < 0) return false;
+
+  const { modifiedCount } = await dbClient.users.updateOne(
+    { _id: userId, $or: [{ usedBytes: { $exists: false } }, { usedBytes: { $lte: limit } }] },
+    { $inc: { usedBytes: size } }
+  );
+  return modifiedCount === 1;
+}
+
+async function releaseBytes (userId, size) {
+  if (!size) return;
+
+  await dbClient.users.updateOne({ _id: userId }, { $inc: { usedBytes: -size } });
+  // Files stored before usage was tracked were never counted in
+  await dbClient.users.updateOne({ _id: userId, usedBytes: { $lt: 0 } }, { $set: { usedBytes: 0 } });
+}
+
+export {
+  getQuota,
+  getUsage,
+  reserveBytes,
+  releaseBytes
+};
@@ -0,0 +1,126 @@
+import { randomBytes } from 'crypto';
+import redisClient from './redis';
+import { requestUser } from './users';
+
+// Budgets as `<requests>/<seconds>` per route group, for each client IP and each
+// user. RATE_LIMIT_<GROUP>_<IP|USER> overrides them, '0' lifts the limit.
+const DEFAULT_BUDGETS = {
+  auth: { ip: '60/60', user: '0' },
+  upload: { ip: '120/60', user: '60/60' },
+  write: { ip: '600/60', user: '300/60' },
+  read: { ip: '1200/60', user: '600/60' }
+};
+
+// Failed logins for one email within LOGIN_LOCK_TTL before it is locked as long
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_LOCK_TTL = Number(process.env.LOGIN_LOCK_TTL) || 60 * 15;
+
+function routeGroup (method, path) {
+  if (/^\/connect(\/|$)/.test(path)) return 'auth';
+  if (method === 'POST' && /^\/users(\/(verify|forgot-password|reset-password)(\/.*)?)?$/.test(path)) return 'auth';
+  if (!['GET', 'HEAD'].includes(method) && /^\/files\/uploads(\/|$)/.test(path)) return 'upload';
+  if ((method === 'POST' && /^\/files\/?$/.test(path)) || (method === 'PUT' && /^\/files\/[^/]+\/data$/.test(path))) return 'upload';
+  return ['GET', 'HEAD'].includes(method) ? 'read' : 'write';
+}
+
+// Read on every request, so budgets can change without a restart
+function getBudget (group, subject) {
+  const value = process.env[`RATE_LIMIT_${group.toUpperCase()}_${subject.toUpperCase()}`] || DEFAULT_BUDGETS[group][subject];
+  const [limit, seconds] = String(value).split('/').map(Number);
+  return limit > 0 && seconds > 0 ? { limit, window: seconds * 1000 } : null;
+}
+
+/*
+ * Sliding window log: the sorted set holds one member per request made within
+ * the window, scored by its time. Refused requests are taken back out so that
+ * clients retrying too early do not push their own reset further away.
+ */
+async function hit (key, { limit, window }) {
+  const now = Date.now();
+  const member = `${now}:${randomBytes(4).toString('hex')}`;
+  const [, , count, oldest] = await redisClient.multi([
+    ['zremrangebyscore', key, 0, now - window],
+    ['zadd', key, now, member],
+    ['zcard', key],
+    ['zrange', key, 0, 0, 'WITHSCORES'],
+    ['pexpire', key, window]
+  ]);
+
+  const limited = count > limit;
+  if (limited) await redisClient.multi([['zrem', key, member]]);
+
+  return {
+    limit,
+    remaining: Math.max(0, limit - count),
+    reset: Math.max(1, Math.ceil((Number(oldest[1]) + window - now) / 1000)),
+    limited
+  };
+}
+
+// Router middleware: answers 429 once the IP or the user is over its budget.
+// Requests go through while Redis cannot be reached, instead of being queued
+// by the client until it is back.
+async function rateLimit (request, response, next) {
+  if (!redisClient.isAlive()) return next();
+
+  try {
+    const group = routeGroup(request.method, request.path);
+    const subjects = [['ip', request.ip]];
+    if (getBudget(group, 'user')) {
+      const userId = await requestUser(request);
+      if (userId) subjects.push(['user', userId]);
+    }
+
+    // The headers describe whichever budget is closest to running out
+    let tightest = null;
+    for (const [subject, id] of subjects) {
+      const budget = getBudget(group, subject);
+      const result = budget ? await hit(`ratelimit_${group}_${subject}_${id}`, budget) : null;
+      if (result && (!tightest || result.limited || result.remaining < tightest.remaining)) tightest = result;
+      if (result && result.limited) break;
+    }
+
+    if (tightest) {
+      response.set({
+        'RateLimit-Limit': String(tightest.limit),
+        'RateLimit-Remaining': String(tightest.remaining),
+        'RateLimit-Reset': String(tightest.reset)
+      });
+      if (tightest.limited) {
+        response.set('Retry-After', String(tightest.reset));
+        return response.status(429).send({ error: 'Too many requests' });
+      }
+    }
+  } catch (error) {
+    // Requests go through when Redis fails them
+    console.log(error.message);
+  }
+
+  return next();
+}
+
+// Seconds left on the lock of `email`, 0 when it is not locked
+async function loginLocked (email) {
+  const seconds = await redisClient.ttl(`login_lock_${String(email).toLowerCase()}`);
+  return seconds > 0 ? seconds : 0;
+}
+
+// Counted per email, known or not, so locks tell nothing about which accounts exist
+async function recordLoginFailure (email) {
+  const id = String(email).toLowerCase();
+  const failures = await redisClient.incr(`login_failures_${id}`);
+  if (failures === 1) await redisClient.expire(`login_failures_${id}`, LOGIN_LOCK_TTL);
+
+  if (failures >= LOGIN_MAX_FAILURES) {
+    await redisClient.set(`login_lock_${id}`, 1, LOGIN_LOCK_TTL);
+    await redisClient.del(`login_failures_${id}`);
+  }
+}
+
+async function clearLoginFailures (email) {
+  await redisClient.del(`login_failures_${String(email).toLowerCase()}`);
+}
+
+export {
+  routeGroup, rateLimit, loginLocked, recordLoginFailure, clearLoginFailures
+};
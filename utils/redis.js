@@ -29,6 +29,53 @@ class RedisClient {
     async del(key) {
         this.client.del(key);
     }
+
+    async expire(key, duration) {
+        this.client.expire(key, duration);
+    }
+
+    async sadd(key, member) {
+        this.client.sadd(key, member);
+    }
+
+    async srem(key, member) {
+        this.client.srem(key, member);
+    }
+
+    async smembers(key) {
+        const members = await promisify(this.client.smembers).bind(this.client)(key);
+        return members;
+    }
+
+    async incr(key) {
+        const value = await promisify(this.client.incr).bind(this.client)(key);
+        return value;
+    }
+
+    async ttl(key) {
+        const seconds = await promisify(this.client.ttl).bind(this.client)(key);
+        return seconds;
+    }
+
+    // Sets `key` only when it does not exist yet, resolves to whether it did
+    async setnx(key, value, duration) {
+        const reply = await promisify(this.client.set).bind(this.client)(key, value, 'NX', 'EX', duration);
+        return reply === 'OK';
+    }
+
+    // Deletes `key` only while it still holds `value`
+    async delIfEqual(key, value) {
+        const script = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) end return 0";
+        const deleted = await promisify(this.client.eval).bind(this.client)(script, 1, key, value);
+        return deleted === 1;
+    }
+
+    // Runs `commands` (`[name, ...args]` each) as one transaction
+    async multi(commands) {
+        const multi = this.client.multi(commands);
+        const replies = await promisify(multi.exec).bind(multi)();
+        return replies;
+    }
 }
     
 const redisClient = new RedisClient();
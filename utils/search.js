@@ -0,0 +1,128 @@
+import { ObjectId } from 'mongodb';
+import mime from 'mime-types';
+import dbClient from './db';
+import { readBlob, getSubtree } from './files';
+
+// Only the beginning of larger files is indexed
+const TEXT_MAX_SIZE = Number(process.env.TEXT_MAX_SIZE) || 1024 * 1024;
+
+// Full-text hits considered for a single search
+const TEXT_MATCH_LIMIT = 1000;
+
+const TEXT_MIME_TYPES = [
+  'application/json',
+  'application/javascript',
+  'application/xml',
+  'application/x-sh',
+  'application/x-yaml',
+  'application/yaml',
+  'application/sql'
+];
+
+function isTextLike (name) {
+  const type = mime.lookup(name) || '';
+  return type.startsWith('text/') || TEXT_MIME_TYPES.includes(type);
+}
+
+// Stores the text of the current version of a file for the full-text index
+async function indexText (file) {
+  if (file.type === 'folder' || !file.localPath || !isTextLike(file.name)) return false;
+
+  const range = file.size > TEXT_MAX_SIZE ? { start: 0, end: TEXT_MAX_SIZE - 1 } : undefined;
+  const text = (await readBlob(file.localPath, range)).toString('utf8');
+
+  // Skipped when a newer version replaced the content in the meantime
+  const { modifiedCount } = await dbClient.files.updateOne(
+    { _id: file._id, localPath: file.localPath },
+    { $set: { text } }
+  );
+  return modifiedCount === 1;
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches file names by extension for a MIME type such as 'text/plain' or 'image/*'
+function mimePattern (type) {
+  const [major, minor, extra] = String(type).toLowerCase().split('/');
+  if (!major || !minor || extra !== undefined) return null;
+
+  const extensions = Object.entries(mime.types)
+    .filter(([, value]) => (minor === '*' ? value.startsWith(`${major}/`) : value === `${major}/${minor}`))
+    .map(([extension]) => escapeRegExp(extension));
+  if (!extensions.length) return null;
+
+  return new RegExp(`\\.(${extensions.join('|')})$`, 'i');
+}
+
+function parseDate (value, name) {
+  const date = new Date(Number.isNaN(Number(value)) ? value : Number(value));
+  if (Number.isNaN(date.getTime())) throw Error(`Invalid ${name}`);
+  return date;
+}
+
+function parseSize (value, name) {
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < 0) throw Error(`Invalid ${name}`);
+  return size;
+}
+
+/*
+ * Turns the search query parameters into MongoDB conditions. Documents have no
+ * creation date of their own, so `from` and `to` apply to the time in their _id.
+ * Throws on invalid values, with the name of the parameter.
+ */
+function searchFilters (params) {
+  const filters = [];
+
+  if (params.type) {
+    if (!['folder', 'file', 'image'].includes(params.type)) throw Error('Invalid type');
+    filters.push({ type: params.type });
+  }
+
+  if (params.mime) {
+    const pattern = mimePattern(params.mime);
+    if (!pattern) throw Error('Invalid mime');
+    filters.push({ type: { $ne: 'folder' } }, { name: pattern });
+  }
+
+  if (params.from) {
+    const from = parseDate(params.from, 'from');
+    filters.push({ _id: { $gte: ObjectId.createFromTime(Math.floor(from.getTime() / 1000)) } });
+  }
+
+  if (params.to) {
+    const to = parseDate(params.to, 'to');
+    filters.push({ _id: { $lt: ObjectId.createFromTime(Math.floor(to.getTime() / 1000) + 1) } });
+  }
+
+  if (params.minSize !== undefined) filters.push({ size: { $gte: parseSize(params.minSize, 'minSize') } });
+  if (params.maxSize !== undefined) filters.push({ size: { $lte: parseSize(params.maxSize, 'maxSize') } });
+
+  return filters;
+}
+
+// Files the user owns, can see through a share, or that are public
+async function visibleMatch (userId) {
+  const roots = await dbClient.files.find({ 'shares.userId': userId, deletedAt: null }).toArray();
+
+  const shared = [];
+  for (const root of roots) {
+    shared.push(...(await getSubtree(root)).map((doc) => doc._id));
+  }
+
+  return { $or: [{ userId }, { isPublic: true }, { _id: { $in: shared } }] };
+}
+
+// Names containing `q`, or names and text content matching its words
+async function queryMatch (q, conditions, limit = TEXT_MATCH_LIMIT) {
+  const hits = await dbClient.files
+    .find({ $text: { $search: q }, $and: conditions }, { projection: { _id: 1 } })
+    .limit(limit)
+    .toArray();
+
+  return { $or: [{ name: new RegExp(escapeRegExp(q), 'i') }, { _id: { $in: hits.map((hit) => hit._id) } }] };
+}
+
+export {
+  isTextLike, indexText, mimePattern, searchFilters, visibleMatch, queryMatch
+};
@@ -0,0 +1,125 @@
+import { v4 as uuidv4 } from 'uuid';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import redisClient from './redis';
+
+// Access tokens run out after SESSION_TTL without use, sessions and their refresh
+// token after REFRESH_TOKEN_TTL without use; both are pushed back on every use
+const SESSION_TTL = Number(process.env.SESSION_TTL) || 60 * 60 * 24;
+const REFRESH_TOKEN_TTL = Number(process.env.REFRESH_TOKEN_TTL) || 60 * 60 * 24 * 30;
+
+const digest = (value) => createHash('sha256').update(String(value)).digest();
+
+// Access and refresh tokens are `<session id>.<secret>`, older tokens have no session
+function sessionIdOf (token) {
+  const index = String(token).indexOf('.');
+  return index > 0 ? String(token).slice(0, index) : null;
+}
+
+// The last use of a session is kept in its own key, so that recording it never
+// writes back a session whose tokens were replaced meanwhile
+async function getSession (id) {
+  const [value, seen] = await redisClient.multi([['get', `session_${id}`], ['get', `session_seen_${id}`]]);
+  if (!value) return null;
+  return { ...JSON.parse(value), ...(seen ? JSON.parse(seen) : {}) };
+}
+
+async function markSeen (id, request) {
+  const seen = { lastUsedAt: new Date(), ip: request.ip };
+  await redisClient.set(`session_seen_${id}`, JSON.stringify(seen), REFRESH_TOKEN_TTL);
+}
+
+async function saveSession (session) {
+  await redisClient.set(`session_${session.id}`, JSON.stringify(session), REFRESH_TOKEN_TTL);
+}
+
+// Replaces the tokens of a session, the previous access token stops working
+async function issueTokens (session) {
+  if (session.token) await redisClient.del(`auth_${session.token}`);
+
+  const token = `${session.id}.${uuidv4()}`;
+  const secret = randomBytes(32).toString('hex');
+  const updated = { ...session, token, refreshHash: digest(secret).toString('hex') };
+
+  await redisClient.set(`auth_${token}`, session.userId, SESSION_TTL);
+  await saveSession(updated);
+
+  return { token, refreshToken: `${session.id}.${secret}`, expiresIn: SESSION_TTL };
+}
+
+async function createSession (userId, request) {
+  const now = new Date();
+  const session = {
+    id: uuidv4(),
+    userId: userId.toString(),
+    createdAt: now,
+    lastUsedAt: now,
+    ip: request.ip,
+    userAgent: request.header('User-Agent') || null
+  };
+
+  await redisClient.sadd(`sessions_${session.userId}`, session.id);
+  return issueTokens(session);
+}
+
+async function revokeSession (session) {
+  await redisClient.del(`auth_${session.token}`);
+  await redisClient.del(`session_${session.id}`);
+  await redisClient.del(`session_seen_${session.id}`);
+  await redisClient.srem(`sessions_${session.userId}`, session.id);
+}
+
+// Sliding expiration: called for every request authenticated with `token`
+async function touchSession (token, request) {
+  await redisClient.expire(`auth_${token}`, SESSION_TTL);
+
+  const id = sessionIdOf(token);
+  const session = id ? await getSession(id) : null;
+  if (!session || session.token !== token) return;
+
+  await redisClient.expire(`session_${id}`, REFRESH_TOKEN_TTL);
+  await markSeen(id, request);
+}
+
+/*
+ * Trades a refresh token for new tokens. Refresh tokens are single use: presenting
+ * one that was already exchanged means it leaked, and ends the whole session.
+ */
+async function refreshSession (refreshToken, request) {
+  const id = sessionIdOf(refreshToken);
+  const session = id ? await getSession(id) : null;
+  if (!session) return null;
+
+  const secret = String(refreshToken).slice(id.length + 1);
+  if (!timingSafeEqual(digest(secret), Buffer.from(session.refreshHash, 'hex'))) {
+    await revokeSession(session);
+    return null;
+  }
+
+  const tokens = await issueTokens(session);
+  await markSeen(id, request);
+  return tokens;
+}
+
+// Sessions of a user, most recently used first; expired ones are dropped from the index
+async function listSessions (userId) {
+  const ids = await redisClient.smembers(`sessions_${userId}`);
+
+  const sessions = [];
+  for (const id of ids) {
+    const session = await getSession(id);
+    if (session) sessions.push(session);
+    else await redisClient.srem(`sessions_${userId}`, id);
+  }
+
+  return sessions.sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt));
+}
+
+export {
+  sessionIdOf,
+  getSession,
+  createSession,
+  revokeSession,
+  touchSession,
+  refreshSession,
+  listSessions
+};
@@ -0,0 +1,59 @@
+import { createReadStream, unlink } from 'fs';
+import { promisify } from 'util';
+
+const unlinkAsync = promisify(unlink);
+
+function notFound (key) {
+  const error = new Error(`Blob not found: ${key}`);
+  error.code = 'ENOENT';
+  return error;
+}
+
+/*
+ * Interface every storage backend implements. Blobs are addressed by a flat key
+ * (a content hash, or a uuid for older blobs, optionally suffixed with `_<width>`
+ * for thumbnails).
+ *
+ * - put(key, body): stores a Buffer or a readable stream
+ * - putFile(key, path): stores a local file and removes it
+ * - get(key, { start, end }): resolves to a readable stream, of a byte range if given
+ * - delete(key): removes the blob, missing blobs are ignored
+ * - exists(key): resolves to a boolean
+ * - stat(key): resolves to { size, mtime }, or null when the blob is missing
+ */
+class StorageDriver {
+  static checkKey (key) {
+    if (!key || key.includes('/') || key.includes('\\') || key.startsWith('.')) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return key;
+  }
+
+  async put () {
+    throw new Error(`${this.constructor.name} does not implement put`);
+  }
+
+  async putFile (key, path) {
+    await this.put(key, createReadStream(path));
+    await unlinkAsync(path);
+  }
+
+  async get () {
+    throw new Error(`${this.constructor.name} does not implement get`);
+  }
+
+  async delete () {
+    throw new Error(`${this.constructor.name} does not implement delete`);
+  }
+
+  async exists (key) {
+    return !!await this.stat(key);
+  }
+
+  async stat () {
+    throw new Error(`${this.constructor.name} does not implement stat`);
+  }
+}
+
+export { notFound };
+export default StorageDriver;
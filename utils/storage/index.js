@@ -0,0 +1,24 @@
+import { basename } from 'path';
+import LocalStorage from './local';
+import S3Storage from './s3';
+
+const drivers = {
+  local: LocalStorage,
+  s3: S3Storage
+};
+
+function createStorage (name = process.env.STORAGE_DRIVER || 'local', options = {}) {
+  const Driver = drivers[name];
+  if (!Driver) throw new Error(`Unknown storage driver: ${name}`);
+  return new Driver(options);
+}
+
+// File documents keep their historical `localPath`, whose last segment is the storage key
+function blobKey (localPath) {
+  return basename(localPath);
+}
+
+const storage = createStorage();
+
+export { drivers, createStorage, blobKey };
+export default storage;
@@ -0,0 +1,58 @@
+import {
+  mkdir, writeFile, rename, stat, unlink, createReadStream, createWriteStream
+} from 'fs';
+import { pipeline } from 'stream';
+import { promisify } from 'util';
+import StorageDriver, { notFound } from './driver';
+
+const mkdirAsync = promisify(mkdir);
+const writeFileAsync = promisify(writeFile);
+const renameAsync = promisify(rename);
+const statAsync = promisify(stat);
+const unlinkAsync = promisify(unlink);
+const pipelineAsync = promisify(pipeline);
+
+class LocalStorage extends StorageDriver {
+  constructor (options = {}) {
+    super();
+    this.root = options.root || process.env.FOLDER_PATH || '/tmp/files_manager';
+  }
+
+  path (key) {
+    return `${this.root}/${StorageDriver.checkKey(key)}`;
+  }
+
+  async put (key, body) {
+    await mkdirAsync(this.root, { recursive: true });
+    if (Buffer.isBuffer(body)) await writeFileAsync(this.path(key), body);
+    else await pipelineAsync(body, createWriteStream(this.path(key)));
+  }
+
+  async putFile (key, path) {
+    await mkdirAsync(this.root, { recursive: true });
+    await renameAsync(path, this.path(key));
+  }
+
+  async get (key, range = {}) {
+    if (!await this.stat(key)) throw notFound(key);
+    return createReadStream(this.path(key), range);
+  }
+
+  async delete (key) {
+    await unlinkAsync(this.path(key)).catch((error) => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  async stat (key) {
+    try {
+      const stats = await statAsync(this.path(key));
+      if (!stats.isFile()) return null;
+      return { size: stats.size, mtime: stats.mtime };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+export default LocalStorage;
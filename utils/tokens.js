@@ -0,0 +1,30 @@
+import { createHash, randomBytes } from 'crypto';
+import redisClient from './redis';
+
+// Lifetime of single-use tokens, in seconds, per kind
+const TOKEN_TTLS = {
+  verify: Number(process.env.VERIFY_TOKEN_TTL) || 60 * 60 * 48,
+  reset: Number(process.env.RESET_TOKEN_TTL) || 60 * 60
+};
+
+// Redis only holds token digests, the tokens themselves only go out by mail
+const tokenKey = (kind, token) => `${kind}_${createHash('sha256').update(String(token)).digest('hex')}`;
+
+async function createToken (kind, userId) {
+  const token = randomBytes(32).toString('hex');
+  await redisClient.set(tokenKey(kind, token), userId.toString(), TOKEN_TTLS[kind]);
+  return token;
+}
+
+// The user a token was issued for, leaving the token usable
+async function peekToken (kind, token) {
+  return redisClient.get(tokenKey(kind, token));
+}
+
+// The user a token was issued for, or null; the token cannot be used again
+async function consumeToken (kind, token) {
+  const [userId] = await redisClient.multi([['get', tokenKey(kind, token)], ['del', tokenKey(kind, token)]]);
+  return userId;
+}
+
+export { TOKEN_TTLS, createToken, peekToken, consumeToken };
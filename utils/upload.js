@@ -0,0 +1,80 @@
+import busboy from 'busboy';
+import { streamBlob, releaseBlob } from './files';
+
+function parseMultipart (request, options) {
+  return new Promise((resolve, reject) => {
+    const fields = {};
+    let filename = null;
+    let file = null;
+    let pending = null;
+    let settled = false;
+
+    const form = busboy({ headers: request.headers });
+
+    // Settles once; a blob still being written is cut short and unlinked by streamBlob
+    const fail = async (error) => {
+      if (settled) return;
+      settled = true;
+      request.unpipe(form);
+      if (file) file.destroy(error);
+      if (pending) await pending.then((blob) => releaseBlob(blob), () => null);
+      reject(error);
+    };
+
+    form.on('field', (name, value) => {
+      fields[name] = value;
+    });
+
+    // Only the first file part is kept, any other one is drained and ignored
+    form.on('file', (name, stream, info) => {
+      if (pending) {
+        stream.resume();
+        return;
+      }
+      filename = info.filename;
+      file = stream;
+      pending = streamBlob(stream, options);
+    });
+
+    form.on('error', fail);
+
+    form.on('close', () => {
+      if (settled) return null;
+      settled = true;
+      if (!fields.name && filename) fields.name = filename;
+      if (!pending) return resolve({ fields, blob: null });
+      return pending.then((blob) => resolve({ fields, blob }), reject);
+    });
+
+    // A client gone mid-upload leaves busboy waiting for the rest of the body
+    const aborted = () => {
+      if (!request.complete) fail(Error('Upload aborted'));
+    };
+    request.on('aborted', aborted);
+    request.on('close', aborted);
+    request.on('error', fail);
+
+    request.pipe(form);
+  });
+}
+
+/*
+ * Reads the body of an upload request.
+ * - multipart/form-data: metadata in form fields, content streamed from the file part
+ * - application/octet-stream: metadata in the query string, content is the raw body
+ * - JSON: everything in the parsed body, content as base64 in `data`
+ * Streamed content is written straight to FOLDER_PATH and returned as `blob`; past
+ * `options.limit` bytes it is refused with an 'EQUOTA' error.
+ */
+async function parseUpload (request, options = {}) {
+  if (request.is('multipart/form-data')) return parseMultipart(request, options);
+
+  if (request.is('application/octet-stream')) {
+    const blob = await streamBlob(request, options);
+    return { fields: { ...request.query }, blob };
+  }
+
+  return { fields: request.body || {}, blob: null };
+}
+
+export default parseUpload;
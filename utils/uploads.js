@@ -0,0 +1,151 @@
+import { v4 as uuidv4 } from 'uuid';
+import { createHash } from 'crypto';
+import {
+  mkdir, writeFile, readdir, stat, unlink, createReadStream, createWriteStream
+} from 'fs';
+import { Transform, pipeline } from 'stream';
+import { promisify } from 'util';
+import redisClient from './redis';
+import { commitBlob } from './files';
+
+const mkdirAsync = promisify(mkdir);
+const writeFileAsync = promisify(writeFile);
+const readdirAsync = promisify(readdir);
+const statAsync = promisify(stat);
+const unlinkAsync = promisify(unlink);
+const pipelineAsync = promisify(pipeline);
+
+const SESSION_TTL = Number(process.env.UPLOAD_SESSION_TTL) || 60 * 60 * 24;
+// A lock left by a crashed request is given up after UPLOAD_LOCK_TTL seconds
+const LOCK_TTL = Number(process.env.UPLOAD_LOCK_TTL) || 60 * 10;
+
+function uploadsDir () {
+  return `${process.env.FOLDER_PATH || '/tmp/files_manager'}/uploads`;
+}
+
+function partPath (id) {
+  return `${uploadsDir()}/${id}`;
+}
+
+async function getSession (id) {
+  const value = await redisClient.get(`upload_${id}`);
+  return value ? JSON.parse(value) : null;
+}
+
+// Every save pushes the expiry back, so only idle sessions run out
+async function saveSession (id, session) {
+  await redisClient.set(`upload_${id}`, JSON.stringify(session), SESSION_TTL);
+}
+
+// Takes the session out of Redis, so only one request gets to complete it
+async function claimSession (id) {
+  const [value] = await redisClient.multi([['get', `upload_${id}`], ['del', `upload_${id}`]]);
+  return value ? JSON.parse(value) : null;
+}
+
+// Resolves to the lock token, or null while another request holds the lock
+async function lockSession (id) {
+  const token = uuidv4();
+  return await redisClient.setnx(`upload_lock_${id}`, token, LOCK_TTL) ? token : null;
+}
+
+async function unlockSession (id, token) {
+  await redisClient.delIfEqual(`upload_lock_${id}`, token);
+}
+
+async function createSession (data) {
+  const id = uuidv4();
+  const session = { ...data, offset: 0, createdAt: new Date() };
+
+  await saveSession(id, session);
+  await mkdirAsync(uploadsDir(), { recursive: true });
+  await writeFileAsync(partPath(id), '');
+
+  return { id, session };
+}
+
+// Appends `readable` to the partial file without ever going past the announced size.
+// The length on disk is the new offset, even when the connection drops mid-chunk.
+// Callers hold the session lock, so appends never interleave.
+async function appendChunk (id, session, readable) {
+  let remaining = session.size - session.offset;
+  let overflow = false;
+
+  // Bytes past the announced size are drained rather than failing the stream,
+  // so the request is fully read and can still be answered
+  const guard = new Transform({
+    transform (chunk, encoding, callback) {
+      if (chunk.length > remaining) overflow = true;
+      const kept = chunk.slice(0, remaining);
+      remaining -= kept.length;
+      callback(null, kept);
+    }
+  });
+
+  let failure = null;
+  try {
+    await pipelineAsync(readable, guard, createWriteStream(partPath(id), { flags: 'a' }));
+  } catch (error) {
+    failure = error;
+  }
+  if (!failure && overflow) failure = new Error('Chunk exceeds upload length');
+
+  const { size } = await statAsync(partPath(id));
+  const updated = { ...session, offset: size };
+  await saveSession(id, updated);
+
+  if (failure) throw failure;
+  return updated;
+}
+
+function hashFile (path) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    createReadStream(path)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Moves the completed partial file of a claimed session into FOLDER_PATH as a regular blob
+async function finalizeSession (id) {
+  const checksum = await hashFile(partPath(id));
+  const { size } = await statAsync(partPath(id));
+
+  return commitBlob(partPath(id), size, checksum);
+}
+
+async function abortSession (id) {
+  await redisClient.del(`upload_${id}`);
+  await unlinkAsync(partPath(id)).catch(() => null);
+}
+
+// Removes the partial files whose session expired in Redis
+async function cleanupSessions () {
+  const ids = await readdirAsync(uploadsDir()).catch(() => []);
+  let removed = 0;
+
+  // A locked session may be in the middle of being completed
+  for (const id of ids) {
+    if (!await getSession(id) && !await redisClient.get(`upload_lock_${id}`)) {
+      await unlinkAsync(partPath(id)).catch(() => null);
+      removed += 1;
+    }
+  }
+
+  return removed;
+}
+
+export {
+  getSession,
+  saveSession,
+  claimSession,
+  lockSession,
+  unlockSession,
+  createSession,
+  appendChunk,
+  finalizeSession,
+  abortSession,
+  cleanupSessions
+};
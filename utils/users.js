@@ -0,0 +1,58 @@
+import { ObjectId } from 'mongodb';
+import dbClient from './db';
+import redisClient from './redis';
+import { touchSession } from './sessions';
+import { isApiKey, findApiKey, keyAllows } from './keys';
+
+// X-Token holds either a session token or an API key. An API key outside of its
+// scopes authenticates no one, so the request is answered as unauthorized; the
+// key is returned as `apiKey` for the checks that can only run later.
+async function getIdAndKey (request) {
+  const obj = { userId: null, key: null, apiKey: null };
+
+  const xToken = request.header('X-Token');
+  if (!xToken) return obj;
+
+  if (isApiKey(xToken)) {
+    const apiKey = await findApiKey(xToken);
+    if (apiKey && await keyAllows(apiKey, request)) {
+      await dbClient.keys.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } });
+      obj.userId = apiKey.userId.toString();
+      obj.apiKey = apiKey;
+    }
+    return obj;
+  }
+
+  obj.key = `auth_${xToken}`;
+  obj.userId = await redisClient.get(obj.key);
+  if (obj.userId) await touchSession(xToken, request);
+
+  return obj;
+}
+
+// The user behind X-Token, without the side effects of getIdAndKey
+async function requestUser (request) {
+  const token = request.header('X-Token');
+  if (!token) return null;
+
+  if (isApiKey(token)) {
+    const key = await findApiKey(token);
+    return key ? key.userId.toString() : null;
+  }
+  return redisClient.get(`auth_${token}`);
+}
+
+// With REQUIRE_VERIFIED_UPLOADS=true, accounts must confirm their email before
+// uploading; accounts older than verification have no flag and are not held back
+function canUpload (user) {
+  return process.env.REQUIRE_VERIFIED_UPLOADS !== 'true' || user.verified !== false;
+}
+
+function isValidUser (id) {
+  if (!id) return false;
+  return ObjectId.isValid(id);
+}
+
+export {
+  getIdAndKey, requestUser, canUpload, isValidUser
+};
@@ -0,0 +1,232 @@
+import Queue from 'bull';
+import http from 'http';
+import https from 'https';
+import { lookup } from 'dns';
+import { isIP } from 'net';
+import { ObjectId } from 'mongodb';
+import { createHmac, randomBytes } from 'crypto';
+import dbClient from './db';
+
+const WEBHOOK_EVENTS = ['file.uploaded', 'file.published', 'file.unpublished', 'file.moved', 'file.deleted'];
+
+// Failed deliveries are retried after WEBHOOK_BACKOFF, then twice as long each time
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_BACKOFF = Number(process.env.WEBHOOK_BACKOFF) || 30 * 1000;
+const WEBHOOK_TIMEOUT = Number(process.env.WEBHOOK_TIMEOUT) || 10 * 1000;
+
+const webhookQueue = new Queue('webhookQueue');
+
+// '*' subscribes to every event, including ones added later
+function parseEvents (value) {
+  const events = value === undefined ? ['*'] : value;
+  if (!Array.isArray(events) || !events.length) throw Error('Invalid events');
+  if (events.some((event) => event !== '*' && !WEBHOOK_EVENTS.includes(event))) throw Error('Invalid events');
+  return [...new Set(events)];
+}
+
+function parseUrl (value) {
+  try {
+    const url = new URL(String(value));
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+    if (privateHost(url)) return null;
+    return url.toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+const webhookSecret = () => `whsec_${randomBytes(24).toString('hex')}`;
+
+/*
+ * Receivers recompute the HMAC-SHA256 of `<timestamp>.<body>` with the secret of
+ * the webhook and compare it to X-Webhook-Signature. The timestamp lets them
+ * refuse old deliveries being replayed.
+ */
+function signPayload (secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function fileSummary (file) {
+  return {
+    id: file._id,
+    userId: file.userId,
+    name: file.name,
+    type: file.type,
+    isPublic: file.isPublic,
+    parentId: file.parentId,
+    size: file.size,
+    version: file.version
+  };
+}
+
+async function queueDelivery (webhook, event, data) {
+  const delivery = {
+    _id: new ObjectId(),
+    webhookId: webhook._id,
+    userId: webhook.userId,
+    event,
+    status: 'pending',
+    attempts: [],
+    createdAt: new Date()
+  };
+  delivery.payload = {
+    id: delivery._id, event, createdAt: delivery.createdAt, data
+  };
+
+  await dbClient.deliveries.insertOne(delivery);
+  await webhookQueue.add(
+    { deliveryId: delivery._id.toString() },
+    { attempts: WEBHOOK_MAX_ATTEMPTS, backoff: { type: 'exponential', delay: WEBHOOK_BACKOFF } }
+  );
+  return delivery;
+}
+
+// Notifies the webhooks of the file owner subscribed to `event`. Never throws,
+// so callers do not have to wait for it.
+async function emitEvent (event, file, data = {}) {
+  try {
+    const webhooks = await dbClient.webhooks.find({ userId: file.userId, events: { $in: [event, '*'] } }).toArray();
+    for (const webhook of webhooks) {
+      await queueDelivery(webhook, event, { file: fileSummary(file), ...data });
+    }
+  } catch (error) {
+    console.log(`Webhook event ${event} not queued: ${error.message}`);
+  }
+}
+
+function isPrivateAddress (address) {
+  if (isIP(address) === 6) {
+    const lower = address.toLowerCase();
+    if (lower.startsWith('::ffff:') && isIP(lower.slice(7)) === 4) return isPrivateAddress(lower.slice(7));
+    // IPv4-mapped (and deprecated IPv4-compatible) addresses, as URLs normalize them
+    const embedded = lower.match(/^::(?:ffff:)?([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (embedded) {
+      const [high, low] = embedded.slice(1).map((group) => parseInt(group, 16));
+      return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+    return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+  }
+
+  const [a, b] = address.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31)
+    || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127) || a >= 224;
+}
+
+function privateRefusal (host) {
+  const refused = Error(`Private address refused: ${host}`);
+  refused.code = 'EPRIVATE';
+  return refused;
+}
+
+// Node connects to IP literals without calling `lookup`, so those are checked on the URL
+function privateHost (url) {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE === 'true') return false;
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  return isIP(host) !== 0 && isPrivateAddress(host);
+}
+
+// Resolves like dns.lookup, refusing internal addresses unless WEBHOOK_ALLOW_PRIVATE=true.
+// Checking at connection time leaves no room for the name to resolve differently later.
+function publicLookup (hostname, options, callback) {
+  lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+    if (process.env.WEBHOOK_ALLOW_PRIVATE !== 'true' && addresses.some(isPrivateAddress)) {
+      return callback(privateRefusal(hostname));
+    }
+    return callback(null, address, family);
+  });
+}
+
+function post (url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    if (privateHost(target)) {
+      reject(privateRefusal(target.hostname));
+      return;
+    }
+
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      timeout: WEBHOOK_TIMEOUT,
+      lookup: publicLookup
+    }, (response) => {
+      response.on('end', () => resolve(response.statusCode));
+      response.on('error', reject);
+      response.resume();
+    });
+    request.on('timeout', () => request.destroy(Error('Timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/*
+ * Sends one delivery attempt for the Bull `job` and records it in the delivery
+ * log. Throws when the endpoint did not answer with a 2xx, so Bull retries;
+ * deliveries that cannot succeed (removed webhook, private address) are not retried.
+ */
+async function deliver (job) {
+  const delivery = await dbClient.deliveries.findOne({ _id: ObjectId(job.data.deliveryId) });
+  if (!delivery) return null;
+
+  const webhook = await dbClient.webhooks.findOne({ _id: delivery.webhookId });
+  if (!webhook) {
+    await dbClient.deliveries.updateOne({ _id: delivery._id }, { $set: { status: 'cancelled' } });
+    return null;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const attempt = { at: new Date() };
+  let retry = true;
+  try {
+    attempt.statusCode = await post(webhook.url, body, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Files-Manager-Webhooks',
+      'X-Webhook-Id': webhook._id.toString(),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery._id.toString(),
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+    });
+  } catch (error) {
+    attempt.error = error.message;
+    if (error.code === 'EPRIVATE') {
+      retry = false;
+      await job.discard();
+    }
+  }
+  attempt.duration = Date.now() - started;
+
+  const delivered = attempt.statusCode >= 200 && attempt.statusCode < 300;
+  const lastAttempt = !retry || job.attemptsMade + 1 >= (job.opts.attempts || 1);
+
+  let status = 'retrying';
+  if (delivered) status = 'delivered';
+  else if (lastAttempt) status = 'failed';
+
+  await dbClient.deliveries.updateOne(
+    { _id: delivery._id },
+    { $push: { attempts: attempt }, $set: { status, ...(delivered ? { deliveredAt: new Date() } : {}) } }
+  );
+
+  if (!delivered) throw Error(attempt.error || `Endpoint answered ${attempt.statusCode}`);
+  return { statusCode: attempt.statusCode };
+}
+
+export {
+  WEBHOOK_EVENTS,
+  parseEvents,
+  parseUrl,
+  webhookSecret,
+  signPayload,
+  queueDelivery,
+  emitEvent,
+  isPrivateAddress,
+  deliver
+};
@@ -1,18 +1,51 @@
 import DBClient from './utils/db';
+import {
+  THUMBNAIL_SIZES, getVersions, readBlob, releaseBlob, purgeExpired, getSubtree, copyTree
+} from './utils/files';
+import { extractArchive } from './utils/extract';
+import { isTextLike, indexText } from './utils/search';
+import storage, { blobKey } from './utils/storage';
+import { cleanupSessions } from './utils/uploads';
+import mailer from './utils/mail';
+import { verifyMessage, resetMessage } from './utils/mail/messages';
+import { createToken } from './utils/tokens';
+import { emitEvent, deliver } from './utils/webhooks';
 
 const Bull = require('bull');
 const { ObjectId } = require('mongodb');
 const imageThumbnail = require('image-thumbnail');
-const fs = require('fs');
 const fileQueue = new Bull('fileQueue');
 const userQueue = new Bull('userQueue');
+const trashQueue = new Bull('trashQueue');
+const uploadQueue = new Bull('uploadQueue');
+const copyQueue = new Bull('copyQueue');
+const archiveQueue = new Bull('archiveQueue');
+const webhookQueue = new Bull('webhookQueue');
 
-const createImageThumbnail = async (path, options) => {
+const TRASH_MAX_AGE_DAYS = Number(process.env.TRASH_MAX_AGE_DAYS) || 30;
+const TRASH_PURGE_INTERVAL = Number(process.env.TRASH_PURGE_INTERVAL) || 60 * 60 * 1000;
+const UPLOAD_CLEANUP_INTERVAL = Number(process.env.UPLOAD_CLEANUP_INTERVAL) || 60 * 60 * 1000;
+
+// Images are read whole to be resized, larger ones are left without thumbnails
+const THUMBNAIL_MAX_SIZE = Number(process.env.THUMBNAIL_MAX_SIZE) || 50 * 1024 * 1024;
+
+const createImageThumbnails = async (localPath) => {
   try {
-    const thumbnail = await imageThumbnail(path, options);
-    const pathNail = `${path}_${options.width}`;
+    const key = blobKey(localPath);
+    // Blobs are shared between identical uploads, so are their thumbnails
+    const widths = [];
+    for (const width of THUMBNAIL_SIZES) {
+      if (!await storage.exists(`${key}_${width}`)) widths.push(width);
+    }
+    if (!widths.length) return;
 
-    await fs.writeFileSync(pathNail, thumbnail);
+    const stats = await storage.stat(key);
+    if (!stats || stats.size > THUMBNAIL_MAX_SIZE) return;
+
+    const image = await readBlob(localPath);
+    for (const width of widths) {
+      await storage.put(`${key}_${width}`, await imageThumbnail(image, { width }));
+    }
   } catch (error) {
     console.log(error);
   }
@@ -28,9 +61,17 @@ fileQueue.process(async (job) => {
   const fileDocument = await DBClient.db.collection('files').findOne({ _id: ObjectId(fileId), userId: ObjectId(userId) });
   if (!fileDocument) throw Error('File not found');
 
-  createImageThumbnail(fileDocument.localPath, { width: 500 });
-  createImageThumbnail(fileDocument.localPath, { width: 250 });
-  createImageThumbnail(fileDocument.localPath, { width: 100 });
+  let { localPath } = fileDocument;
+  if (job.data.version) {
+    const entry = getVersions(fileDocument).find((v) => v.version === job.data.version);
+    if (!entry) throw Error('Version not found');
+    localPath = entry.localPath;
+  }
+
+  if (fileDocument.type === 'image') await createImageThumbnails(localPath);
+
+  // Older versions are not searchable, only the current content is indexed
+  if (!job.data.version || job.data.version === fileDocument.version) await indexText(fileDocument);
 });
 
 userQueue.process(async (job) => {
@@ -40,5 +81,81 @@ userQueue.process(async (job) => {
   const userDocument = await DBClient.db.collection('users').findOne({ _id: ObjectId(userId) });
   if (!userDocument) throw Error('User not found');
 
-  console.log(`Welcome ${userDocument.email}`);
-});
\ No newline at end of file
+  // Tokens are made here, so they only ever exist in the message sent
+  if (job.data.type === 'verify') {
+    if (userDocument.verified !== false) return;
+    await mailer.send(verifyMessage(userDocument, await createToken('verify', userDocument._id)));
+  } else if (job.data.type === 'reset') {
+    await mailer.send(resetMessage(userDocument, await createToken('reset', userDocument._id)));
+  } else {
+    console.log(`Welcome ${userDocument.email}`);
+  }
+});
+
+trashQueue.add({}, { jobId: 'purgeTrash', repeat: { every: TRASH_PURGE_INTERVAL } });
+
+trashQueue.process(async () => {
+  const purged = await purgeExpired(TRASH_MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+  if (purged) console.log(`Purged ${purged} expired items from trash`);
+});
+
+uploadQueue.add({}, { jobId: 'cleanupUploads', repeat: { every: UPLOAD_CLEANUP_INTERVAL } });
+
+uploadQueue.process(async () => {
+  const removed = await cleanupSessions();
+  if (removed) console.log(`Removed ${removed} abandoned upload sessions`);
+});
+
+copyQueue.process(async (job) => {
+  const { userId, fileId, parentId } = job.data;
+  if (!fileId) throw Error('Missing fileId');
+  if (!userId) throw Error('Missing userId');
+
+  const fileDocument = await DBClient.db.collection('files').findOne({ _id: ObjectId(fileId), deletedAt: null });
+  if (!fileDocument) throw Error('File not found');
+
+  const subtree = await getSubtree(fileDocument);
+  const copies = await copyTree(
+    subtree,
+    parentId ? ObjectId(parentId) : 0,
+    ObjectId(userId),
+    (done, total) => job.progress(Math.floor((done * 100) / total))
+  );
+
+  copies
+    .filter((copy) => copy.type === 'image')
+    .forEach((copy) => fileQueue.add({ userId: copy.userId, fileId: copy._id }));
+
+  return { fileId: copies[0]._id.toString() };
+});
+
+webhookQueue.process(deliver);
+
+archiveQueue.process(async (job) => {
+  const {
+    userId, parentId, isPublic, localPath, checksum
+  } = job.data;
+  if (!userId) throw Error('Missing userId');
+  if (!localPath) throw Error('Missing localPath');
+
+  try {
+    const created = await extractArchive(localPath, {
+      userId: ObjectId(userId),
+      parentId: parentId ? ObjectId(parentId) : 0,
+      isPublic,
+      onProgress: (entries) => job.progress(entries)
+    });
+
+    created
+      .filter((doc) => doc.type === 'image' || (doc.type === 'file' && isTextLike(doc.name)))
+      .forEach((doc) => fileQueue.add({ userId: doc.userId, fileId: doc._id }));
+    for (const doc of created.filter((entry) => entry.type !== 'folder')) {
+      await emitEvent('file.uploaded', doc, { actorId: doc.userId });
+    }
+
+    const folders = created.filter((doc) => doc.type === 'folder').length;
+    return { folders, files: created.length - folders };
+  } finally {
+    await releaseBlob({ localPath, checksum });
+  }
+});